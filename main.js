@@ -1,4 +1,7 @@
-import { App, Editor, MarkdownView, Modal, Notice, Plugin, PluginSettingTab, Setting } from 'obsidian';
+import { App, Editor, EventRef, Events, FuzzySuggestModal, ItemView, MarkdownPostProcessorContext, MarkdownView, Menu, Modal, Notice, Plugin, PluginSettingTab, Setting, TAbstractFile, TextComponent, TFile, TFolder, WorkspaceLeaf, apiVersion, editorInfoField, editorLivePreviewField, getAllTags } from 'obsidian';
+import { syntaxTree } from '@codemirror/language';
+import { EditorState, Line, RangeSetBuilder, StateEffect, StateField } from '@codemirror/state';
+import { Decoration, DecorationSet, EditorView, ViewPlugin, ViewUpdate, WidgetType } from '@codemirror/view';
 
 /**
  * @file Main plugin file for Intelligent RTL Management.
@@ -9,7 +12,8 @@ import { App, Editor, MarkdownView, Modal, Notice, Plugin, PluginSettingTab, Set
 // In a real build process, these would be imported via modules.
 // For this simulation, assume getBlockDirection is globally available
 // or defined in this file if rtl-text-detector.js isn't actually created separately.
-// declare function getBlockDirection(text: string): 'rtl' | 'ltr';
+// declare function getBlockDirection(text: string, options?: { strategy?: DetectionStrategy; threshold?: number }): 'rtl' | 'ltr';
+// declare function detectDirection(text: string, options?: { strategy?: DetectionStrategy; threshold?: number }): DirectionDetection;
 
 
 /**
@@ -18,6 +22,297 @@ import { App, Editor, MarkdownView, Modal, Notice, Plugin, PluginSettingTab, Set
  */
 type DirectionSetting = 'ltr' | 'rtl' | 'auto';
 
+/**
+ * Strategy used by the text detector, see detectDirection in rtl-text-detector.js.
+ */
+type DetectionStrategy = 'first-strong' | 'ratio';
+
+/**
+ * Result of detectDirection in rtl-text-detector.js.
+ */
+interface DirectionDetection {
+	direction: 'rtl' | 'ltr' | 'neutral';
+	confidence: number;
+	counts: { rtl: number; ltr: number; neutral: number };
+	scripts: Record<string, number>;
+	firstStrong: 'rtl' | 'ltr' | null;
+}
+
+/**
+ * What a direction rule matches on.
+ * - folder: glob over the note path (`Hebrew/**`), or a plain folder path that matches the folder and its subfolders.
+ * - tag: a tag (with or without `#`), including its nested tags.
+ * - filename: a case-insensitive regular expression tested against the file name without extension.
+ * - language: comma-separated ISO 639 codes compared with the `lang`/`language` frontmatter key.
+ */
+type DirectionRuleMatcher = 'folder' | 'tag' | 'filename' | 'language';
+
+/**
+ * A rule that gives notes without a frontmatter override a direction.
+ */
+interface DirectionRule {
+	matcher: DirectionRuleMatcher;
+	/** Glob, tag, regular expression or language codes, depending on the matcher. */
+	pattern: string;
+	direction: DirectionSetting;
+	enabled: boolean;
+}
+
+/**
+ * Where the direction of a note came from. 'frontmatter' is the note's own override, wherever it is stored.
+ */
+type DirectionSource = 'frontmatter' | 'rule' | 'default';
+
+/**
+ * Where per-note overrides are written: the note's `direction` frontmatter key, the plugin's data, or both.
+ */
+type DirectionStorageMode = 'frontmatter' | 'store' | 'both';
+
+/**
+ * A note direction together with the step of the resolution chain that produced it.
+ */
+interface ResolvedDirection {
+	direction: DirectionSetting;
+	source: DirectionSource;
+	/** The matching rule, when source is 'rule'. */
+	rule?: DirectionRule;
+}
+
+/**
+ * Direction state tracked for every leaf showing a Markdown note.
+ */
+interface LeafDirectionState {
+	/** Path of the note the direction was resolved for. */
+	path: string;
+	resolved: ResolvedDirection;
+}
+
+/**
+ * One note of a vault direction scan: what the detector found and what will be written.
+ */
+interface DirectionScanEntry {
+	file: TFile;
+	detection: DirectionDetection;
+	/** Raw value of the `direction` frontmatter key, or null when absent. */
+	current: string | null;
+	/** Value to write; null removes the key. */
+	proposed: DirectionSetting | null;
+	accepted: boolean;
+}
+
+/**
+ * A direction found in another RTL plugin's data or under an alias frontmatter key, to import as an override.
+ */
+interface DirectionImportEntry {
+	file: TFile;
+	direction: DirectionSetting;
+	/** Where the direction was found, e.g. "obsidian-rtl (fileDirections)" or "Frontmatter (dir)". */
+	sources: string[];
+	accepted: boolean;
+}
+
+/**
+ * What one import source held, for the summary of the import modal.
+ */
+interface DirectionImportSource {
+	name: string;
+	found: number;
+	/** Entries naming notes that no longer exist. */
+	missing: number;
+}
+
+/**
+ * One managed element (or group of elements) listed in the diagnostics view.
+ */
+interface DiagnosticEntry {
+	/** What is managed: 'Editor', 'Canvas' or a UI_CONTAINERS name. */
+	area: string;
+	/** Which element: the pane title, the matched selector or a count. */
+	target: string;
+	configured: string;
+	effective: string;
+	/** Where the direction comes from: note override, rule, setting, detection, Obsidian. */
+	source: string;
+	observer: string;
+	/** Set when a selector the plugin depends on matched nothing, or an applied direction did not stick. */
+	issue?: string;
+}
+
+/**
+ * A batch of frontmatter direction changes, journaled so it can be undone.
+ */
+interface DirectionBatch {
+	/** Creation time in milliseconds, also used as identifier. */
+	timestamp: number;
+	/** Human readable description, e.g. the scanned folder. */
+	label: string;
+	changes: {
+		path: string;
+		/** Raw value of the note's `direction` frontmatter key before the batch, or null when it had none. */
+		previous: unknown;
+		/** Plugin data store entry of the note before the batch, or null. Missing in batches journaled before it was recorded. */
+		previousStored?: DirectionSetting | null;
+		next: DirectionSetting | null;
+		aliases?: Record<string, unknown>;
+	}[];
+}
+
+/**
+ * Kinds of inline spans that can be bidi-isolated, see findInlineSpans in rtl-text-detector.js.
+ */
+type InlineSpanType = 'code' | 'math' | 'wikilink' | 'url' | 'email' | 'path';
+
+/**
+ * Result of findInlineSpans in rtl-text-detector.js.
+ */
+interface InlineSpan {
+	type: InlineSpanType;
+	from: number;
+	to: number;
+	direction: 'rtl' | 'ltr';
+}
+
+/**
+ * Script groups with their own typography settings: Hebrew, Arabic (also Persian and Urdu), and the other RTL scripts.
+ */
+type TypographyScript = 'hebrew' | 'arabic' | 'other';
+
+/**
+ * Typography of one script group. Values are CSS values; empty keeps the theme's.
+ */
+interface ScriptTypography {
+	fontFamily: string;
+	fontSize: string;
+	lineHeight: string;
+	letterSpacing: string;
+}
+
+/**
+ * Abbreviation of a Unicode bidi control character, see BIDI_CONTROLS in rtl-text-detector.js.
+ */
+type BidiControlName = 'LRM' | 'RLM' | 'ALM' | 'LRE' | 'RLE' | 'PDF' | 'LRO' | 'RLO' | 'LRI' | 'RLI' | 'FSI' | 'PDI';
+
+/**
+ * Result of findBidiControls in rtl-text-detector.js.
+ */
+interface BidiControl {
+	name: BidiControlName;
+	index: number;
+}
+
+/**
+ * Settings for isolating inline LTR runs inside RTL paragraphs.
+ */
+interface BidiIsolationSettings {
+	enabled: boolean;
+	/** Which span types are isolated. */
+	types: Record<InlineSpanType, boolean>;
+}
+
+/**
+ * What happens once a new note has enough text for a confident detection: nothing, write the direction, or ask first.
+ */
+type NewNoteLockInMode = 'off' | 'auto' | 'prompt';
+
+/**
+ * Settings for writing the direction of new notes into their frontmatter.
+ */
+interface NewNoteLockInSettings {
+	mode: NewNoteLockInMode;
+	/** Letters the note body needs before its detection counts. */
+	minLetters: number;
+	/** Confidence (0-1) the detection needs. */
+	minConfidence: number;
+	/** Whether a direction rule matching the new note (its folder, or the tags and language its template adds) decides instead of detection. */
+	useRuleDirection: boolean;
+}
+
+/**
+ * Blocks whose lines keep a fixed direction inside notes of the other direction.
+ */
+type SpecialBlockType = 'code' | 'mermaid' | 'math' | 'frontmatter';
+
+/**
+ * Everything that can be given a forced direction: special blocks, inline code and inline math.
+ */
+type ForcedDirectionTarget = SpecialBlockType | 'inlineCode' | 'inlineMath';
+
+/**
+ * Direction kept by a special block or inline span; 'none' lets it follow the surrounding text.
+ */
+type ForcedDirection = 'ltr' | 'rtl' | 'none';
+
+/**
+ * Marker style of ordered lists in RTL text. Names are CSS counter styles.
+ */
+type ListNumberingStyle = 'decimal' | 'hebrew' | 'arabic-indic' | 'persian';
+
+/**
+ * Data of a canvas node as stored in the .canvas file. `direction` is this plugin's per-card override.
+ */
+interface CanvasNodeData {
+	id: string;
+	type: 'text' | 'file' | 'link' | 'group';
+	/** Vault path of the linked file, for file cards. */
+	file?: string;
+	direction?: DirectionSetting;
+}
+
+/**
+ * Minimal shape of a node of Obsidian's (undocumented) canvas API.
+ */
+interface CanvasNodeLike {
+	id: string;
+	nodeEl: HTMLElement;
+	contentEl?: HTMLElement;
+	/** Title element of group nodes. */
+	labelEl?: HTMLElement;
+	canvas: CanvasLike;
+	getData(): CanvasNodeData;
+	setData(data: CanvasNodeData): void;
+}
+
+/**
+ * Minimal shape of the canvas object of a canvas view.
+ */
+interface CanvasLike {
+	nodes: Map<string, CanvasNodeLike>;
+	selection: Set<CanvasNodeLike>;
+	requestSave(): void;
+}
+
+/**
+ * A debounced function, with `cancel` to drop a pending call (see IntelligentRtlPlugin.debounce).
+ */
+type Debounced<A extends unknown[]> = ((...args: A) => void) & { cancel(): void };
+
+/**
+ * Every step of the resolution chain of a note, shown by the status bar menu and tooltip.
+ */
+interface DirectionExplanation {
+	file: TFile;
+	resolved: ResolvedDirection;
+	frontmatter: DirectionSetting | null;
+	rule: DirectionRule | null;
+	editorDefault: DirectionSetting;
+	globalDefault: DirectionSetting;
+	/** Detector verdict on the whole note, when it resolves to 'auto' and detection is on. */
+	detection: DirectionDetection | null;
+	/** RTL and LTR blocks of the note, when it is open in an editor. */
+	blocks: { rtl: number; ltr: number } | null;
+}
+
+/**
+ * Payload of the DIRECTION_CHANGED_EVENT workspace event.
+ */
+interface DirectionChangedEvent {
+	file: TFile;
+	/** The newly resolved direction setting (may be 'auto'). */
+	direction: DirectionSetting;
+	previous: DirectionSetting;
+	source: DirectionSource;
+}
+
 /**
  * Settings for an individual UI container that can have its direction managed.
  */
@@ -25,6 +320,62 @@ interface UiContainerSettings {
 	direction: DirectionSetting;
 }
 
+/**
+ * Direction of a registry container. 'inherit' leaves the container to Obsidian and its parent container.
+ */
+type ContainerDirectionSetting = DirectionSetting | 'inherit';
+
+/**
+ * Where the elements of a registry container are found.
+ * - split: the container element of the left or right workspace split.
+ * - view: the first matching selector inside every leaf of `viewType`.
+ * - workspace: every match inside the workspace of each window (tab headers, inline titles).
+ * - overlay: every match added to the document body of each window (modals, suggesters).
+ */
+type UiContainerScope = 'split' | 'view' | 'workspace' | 'overlay';
+
+/**
+ * Describes a UI container whose direction the plugin manages.
+ */
+interface UiContainerDescriptor {
+	/** Key in `settings.containers`, also written to the `data-rtl-container` attribute for styling. */
+	key: string;
+	name: string;
+	scope: UiContainerScope;
+	/** Which split, for 'split' containers. */
+	split?: 'left' | 'right';
+	/** View type of the leaves, for 'view' containers. */
+	viewType?: string;
+	/** Target selectors. 'view' containers use the first one that matches (else the whole view); other scopes use every match. */
+	selectors?: string[];
+	/** Items (file names, results, tags...) detected one by one when the container is set to 'auto'. */
+	itemSelector?: string;
+	defaultDirection: ContainerDirectionSetting;
+}
+
+/**
+ * Every UI container listed in the settings tab and handled by applyAllUiSettings.
+ * Tab headers and inline titles are matched one element per title, so 'auto' detects each title on its own.
+ * Adding a container only takes a new entry here (and, if needed, CSS keyed on its `data-rtl-container`).
+ * The Editor and Canvas Cards have dedicated handling and are configured separately.
+ */
+const UI_CONTAINERS: UiContainerDescriptor[] = [
+	{ key: 'leftSidebar', name: 'Left Sidebar', scope: 'split', split: 'left', defaultDirection: 'ltr' },
+	{ key: 'rightSidebar', name: 'Right Sidebar', scope: 'split', split: 'right', defaultDirection: 'ltr' },
+	{ key: 'fileExplorer', name: 'File Explorer', scope: 'view', viewType: 'file-explorer', selectors: ['.nav-files-container'], itemSelector: '.nav-file-title-content, .nav-folder-title-content', defaultDirection: 'ltr' },
+	{ key: 'searchResults', name: 'Search Results', scope: 'view', viewType: 'search', selectors: ['.search-results-container'], itemSelector: '.search-result-file-title .tree-item-inner, .search-result-file-match', defaultDirection: 'auto' },
+	{ key: 'tagPane', name: 'Tag Pane', scope: 'view', viewType: 'tag', selectors: ['.tag-pane-tags', '.view-content'], itemSelector: '.tag-pane-tag-text, .tree-item-inner-text', defaultDirection: 'auto' },
+	{ key: 'outline', name: 'Outline', scope: 'view', viewType: 'outline', selectors: ['.view-content'], itemSelector: '.tree-item-inner', defaultDirection: 'inherit' },
+	{ key: 'backlinks', name: 'Backlinks', scope: 'view', viewType: 'backlink', selectors: ['.backlink-pane', '.view-content'], itemSelector: '.tree-item-inner, .search-result-file-match', defaultDirection: 'inherit' },
+	{ key: 'outgoingLinks', name: 'Outgoing Links', scope: 'view', viewType: 'outgoing-link', selectors: ['.outgoing-link-pane', '.view-content'], itemSelector: '.tree-item-inner', defaultDirection: 'inherit' },
+	{ key: 'properties', name: 'Properties Panel', scope: 'view', viewType: 'file-properties', selectors: ['.metadata-container', '.view-content'], defaultDirection: 'inherit' },
+	{ key: 'bookmarks', name: 'Bookmarks', scope: 'view', viewType: 'bookmarks', selectors: ['.view-content'], itemSelector: '.tree-item-inner', defaultDirection: 'inherit' },
+	{ key: 'inlineTitle', name: 'Inline Title', scope: 'workspace', selectors: ['.inline-title'], defaultDirection: 'inherit' },
+	{ key: 'tabHeaders', name: 'Tab Headers', scope: 'workspace', selectors: ['.workspace-tab-header-inner-title'], defaultDirection: 'inherit' },
+	{ key: 'suggesters', name: 'Command Palette and Suggesters', scope: 'overlay', selectors: ['.prompt', '.suggestion-container'], defaultDirection: 'inherit' },
+	{ key: 'modals', name: 'Modals', scope: 'overlay', selectors: ['.modal'], defaultDirection: 'inherit' }
+];
+
 /**
  * Interface for the Intelligent RTL Management plugin settings.
  */
@@ -33,20 +384,42 @@ interface IntelligentRtlSettings {
 	globalDefaultDirection: DirectionSetting;
 	/** Settings for the main editor component. */
 	editor: UiContainerSettings;
-	/** Settings for the left sidebar. */
-	leftSidebar: UiContainerSettings;
-	/** Settings for the right sidebar. */
-	rightSidebar: UiContainerSettings;
-	/** Settings for the file explorer pane. */
-	fileExplorer: UiContainerSettings;
-	/** Settings for the search results pane. */
-	searchResults: UiContainerSettings;
-	/** Settings for the tag pane. */
-	tagPane: UiContainerSettings;
+	/** Settings for the containers of UI_CONTAINERS, by key. */
+	containers: Record<string, { direction: ContainerDirectionSetting }>;
 	/** Settings for individual cards within Canvas. */
 	canvasCard: UiContainerSettings;
 	/** Whether to enable advanced text-based direction detection for 'auto' mode. */
 	enableAdvancedTextDetection: boolean;
+	/** How the detector decides: follow the first strong character, or the share of RTL letters. */
+	detectionStrategy: DetectionStrategy;
+	/** Share of RTL letters (0-1) above which text is treated as RTL when the ratio decides. */
+	rtlThreshold: number;
+	/** Ordered rules evaluated for notes without a frontmatter override; the first match wins. */
+	directionRules: DirectionRule[];
+	/** Isolation of inline code, URLs, paths, wikilinks, emails and math inside RTL paragraphs. */
+	bidiIsolation: BidiIsolationSettings;
+	/** Font, size, line height and letter spacing of RTL text, by script group. */
+	typography: Record<TypographyScript, ScriptTypography>;
+	/** Whether bidi control characters (LRM, RLM, isolates...) are shown as labels in the editor. */
+	showBidiControls: boolean;
+	/** Direction kept by code blocks, Mermaid diagrams, math blocks, frontmatter, inline code and inline math. */
+	forcedDirections: Record<ForcedDirectionTarget, ForcedDirection>;
+	/** Marker style of ordered lists in RTL text, in live preview and Reading view. */
+	listNumbering: ListNumberingStyle;
+	/** Whether the workspace chrome (ribbon, sidebars, tab strips, status bar, chevrons) is mirrored for RTL users. */
+	mirrorInterface: boolean;
+	/** Writing the detected direction of new notes into their frontmatter. */
+	newNoteLockIn: NewNoteLockInSettings;
+	/** Where per-note overrides are written. */
+	directionStorage: DirectionStorageMode;
+	/** Per-note overrides kept in the plugin data, by vault path. Updated when notes are renamed or deleted. */
+	noteDirections: Record<string, DirectionSetting>;
+	/** Journal of batch direction changes (most recent last), used by the undo command. */
+	directionJournal: DirectionBatch[];
+	/** Named snapshots of the direction settings, switched with commands. */
+	profiles: DirectionProfile[];
+	/** Name of the profile last switched to or saved, or '' when none. */
+	activeProfile: string;
 	/** A sample setting, can be adapted or removed. */
 	mySetting: string; // Kept for compatibility, can be removed
 }
@@ -57,523 +430,4446 @@ interface IntelligentRtlSettings {
 const DEFAULT_SETTINGS: IntelligentRtlSettings = {
 	globalDefaultDirection: 'auto',
 	editor: { direction: 'auto' },
-	leftSidebar: { direction: 'ltr' },
-	rightSidebar: { direction: 'ltr' },
-	fileExplorer: { direction: 'ltr' },
-	searchResults: { direction: 'auto' },
-	tagPane: { direction: 'auto' },
+	containers: Object.fromEntries(UI_CONTAINERS.map(container => [container.key, { direction: container.defaultDirection }])),
 	canvasCard: { direction: 'auto' },
 	enableAdvancedTextDetection: true,
+	detectionStrategy: 'first-strong',
+	rtlThreshold: 0.4,
+	directionRules: [
+		{ matcher: 'language', pattern: '', direction: 'rtl', enabled: true }
+	],
+	bidiIsolation: {
+		enabled: true,
+		types: { code: true, math: true, wikilink: true, url: true, email: true, path: true }
+	},
+	showBidiControls: false,
+	typography: {
+		hebrew: { fontFamily: '', fontSize: '', lineHeight: '', letterSpacing: '' },
+		arabic: { fontFamily: '', fontSize: '', lineHeight: '', letterSpacing: '' },
+		other: { fontFamily: '', fontSize: '', lineHeight: '', letterSpacing: '' }
+	},
+	forcedDirections: { code: 'ltr', mermaid: 'ltr', math: 'ltr', frontmatter: 'ltr', inlineCode: 'ltr', inlineMath: 'ltr' },
+	listNumbering: 'decimal',
+	mirrorInterface: false,
+	newNoteLockIn: { mode: 'off', minLetters: 20, minConfidence: 0.8, useRuleDirection: true },
+	directionStorage: 'frontmatter',
+	noteDirections: {},
+	directionJournal: [],
+	profiles: [],
+	activeProfile: '',
 	mySetting: 'default'
 };
 
 /**
- * Main plugin class for Intelligent RTL Management.
+ * Settings captured by a profile. The journal and the profiles themselves are not part of a profile.
  */
-export default class IntelligentRtlPlugin extends Plugin {
-	settings: IntelligentRtlSettings;
-	editorMutationObserver: MutationObserver | null = null;
-	observedEditorElements: Set<Element> = new Set();
-	debouncedHandleEditorMutation: ((mutations: MutationRecord[], observer: MutationObserver) => void) | null = null;
-	activeNoteOverride: DirectionSetting | null = null;
-	statusBarItemEl: HTMLElement | null = null;
-	canvasObserver: MutationObserver | null = null;
-	observedCanvasContainers: Set<Element> = new Set();
+const PROFILE_SETTING_KEYS = [
+	'globalDefaultDirection', 'editor', 'canvasCard', 'containers', 'enableAdvancedTextDetection',
+	'detectionStrategy', 'rtlThreshold', 'directionRules', 'bidiIsolation', 'forcedDirections', 'listNumbering',
+	'newNoteLockIn', 'mirrorInterface', 'typography'
+] as const;
 
-	async onload() {
-		await this.loadSettings();
-		this.applyAllUiSettings();
+type ProfileSettings = Pick<IntelligentRtlSettings, typeof PROFILE_SETTING_KEYS[number]>;
 
-		// Debounced handler for editor mutations.
-		// Performance: Debouncing is critical here to avoid excessive processing during rapid typing.
-		this.debouncedHandleEditorMutation = this.debounce(this.handleEditorMutationInner.bind(this), 500);
-		this.editorMutationObserver = new MutationObserver((mutations, observer) => {
-			if (this.debouncedHandleEditorMutation) {
-				this.debouncedHandleEditorMutation(mutations, observer);
-			}
-		});
+const DIRECTION_VALUES = ['ltr', 'rtl', 'auto'];
 
-		// Mutation observer for new canvas cards.
-		// Performance: Canvas card additions are generally less frequent than text edits.
-		this.canvasObserver = new MutationObserver(this.handleCanvasMutation.bind(this));
+/**
+ * Fills the fields missing from an imported setting value with those of its default, at every level of nested objects.
+ */
+function mergeWithDefaults(defaultValue: unknown, value: unknown): unknown {
+	const isPlainObject = (v: unknown): v is Record<string, unknown> => typeof v === 'object' && v !== null && !Array.isArray(v);
+	if (!isPlainObject(defaultValue) || !isPlainObject(value)) return value;
+	const merged: Record<string, unknown> = { ...value };
+	Object.entries(defaultValue).forEach(([key, nested]) => merged[key] = merged[key] === undefined ? structuredClone(nested) : mergeWithDefaults(nested, merged[key]));
+	return merged;
+}
 
-		this.registerEvent(this.app.workspace.on('file-open', async (file) => await this.handleFileOpen(file) ));
-		this.registerEvent(this.app.workspace.on('active-leaf-change', async (leaf) => {
-			if (leaf && leaf.view instanceof MarkdownView && leaf.view.file) {
-				await this.handleFileOpen(leaf.view.file);
-			} else {
-				this.clearActiveNoteOverrideAndRefreshEditor();
-			}
-		}));
+/**
+ * Checks an imported profile setting against the type of the setting, so a hand-edited or foreign
+ * profile cannot put values the plugin does not handle into the settings.
+ */
+function isValidProfileSetting(key: typeof PROFILE_SETTING_KEYS[number], value: unknown): boolean {
+	const isObject = (v: unknown): v is Record<string, unknown> => typeof v === 'object' && v !== null && !Array.isArray(v);
+	const isOneOf = (v: unknown, options: readonly string[]) => typeof v === 'string' && options.includes(v);
+	const isFraction = (v: unknown) => typeof v === 'number' && v >= 0 && v <= 1;
+	const hasDirection = (v: unknown) => isObject(v) && isOneOf(v.direction, DIRECTION_VALUES);
+	switch (key) {
+		case 'globalDefaultDirection':
+			return isOneOf(value, DIRECTION_VALUES);
+		case 'editor':
+		case 'canvasCard':
+			return hasDirection(value);
+		case 'containers':
+			return isObject(value) && Object.values(value).every(v => isObject(v) && isOneOf(v.direction, [...DIRECTION_VALUES, 'inherit']));
+		case 'enableAdvancedTextDetection':
+		case 'mirrorInterface':
+			return typeof value === 'boolean';
+		case 'detectionStrategy':
+			return isOneOf(value, ['first-strong', 'ratio']);
+		case 'rtlThreshold':
+			return isFraction(value);
+		case 'directionRules':
+			return Array.isArray(value) && value.every(rule => isObject(rule) && isOneOf(rule.matcher, Object.keys(RULE_MATCHER_LABELS)) &&
+				typeof rule.pattern === 'string' && isOneOf(rule.direction, DIRECTION_VALUES) && typeof rule.enabled === 'boolean');
+		case 'bidiIsolation':
+			return isObject(value) && typeof value.enabled === 'boolean' && isObject(value.types) &&
+				Object.values(value.types).every(enabled => typeof enabled === 'boolean');
+		case 'forcedDirections':
+			return isObject(value) && Object.values(value).every(direction => isOneOf(direction, ['ltr', 'rtl', 'none']));
+		case 'listNumbering':
+			return isOneOf(value, ['decimal', 'hebrew', 'arabic-indic', 'persian']);
+		case 'newNoteLockIn':
+			return isObject(value) && isOneOf(value.mode, ['off', 'auto', 'prompt']) && typeof value.minLetters === 'number' &&
+				isFraction(value.minConfidence) && typeof value.useRuleDirection === 'boolean';
+		case 'typography':
+			return isObject(value) && Object.values(value).every(typography => isObject(typography) && Object.values(typography).every(v => typeof v === 'string'));
+	}
+}
 
-		this.statusBarItemEl = this.addStatusBarItem();
-		this.statusBarItemEl.addClass('mod-clickable');
-		this.statusBarItemEl.setAttribute('aria-label', 'Change note text direction');
-		this.statusBarItemEl.setAttribute('aria-live', 'polite');
-		this.statusBarItemEl.addEventListener('click', async () => {
-			const activeFile = this.app.workspace.getActiveFile();
-			if (!activeFile || activeFile.extension !== 'md') {
-				new Notice("Open a markdown note to change its direction.");
-				return;
-			}
-			let nextDirection: DirectionSetting | null = 'ltr'; // Default starting point for cycle
-			const currentOverride = this.activeNoteOverride;
-			if (currentOverride === 'ltr') nextDirection = 'rtl';
-			else if (currentOverride === 'rtl') nextDirection = 'auto';
-			else if (currentOverride === 'auto') nextDirection = null;
-			await this.setNoteDirection(nextDirection);
-		});
+/**
+ * A named set of direction settings, e.g. "Hebrew writing" or "English coding".
+ * Exported and imported as JSON in this shape.
+ */
+interface DirectionProfile {
+	/** Stable id the profile's switch command is built from. Assigned on save and import; not exported. */
+	id: string;
+	name: string;
+	settings: ProfileSettings;
+}
 
-		const activeFile = this.app.workspace.getActiveFile();
-		if (activeFile) {
-			await this.handleFileOpen(activeFile);
+/**
+ * Workspace event fired when the resolved direction of a note changes.
+ * Listen with `app.workspace.on('intelligent-rtl:direction-changed', (event: DirectionChangedEvent) => ...)`.
+ */
+const DIRECTION_CHANGED_EVENT = 'intelligent-rtl:direction-changed';
+
+/**
+ * Frontmatter keys other notes or plugins use for the direction, read after `direction`.
+ * `rtl` takes a boolean; the others take the same values as `direction`.
+ */
+const FRONTMATTER_DIRECTION_ALIASES = ['dir', 'text-direction', 'textDirection', 'rtl'];
+
+/**
+ * Reads the direction of a frontmatter block: the `direction` key, else the first alias key with a valid value.
+ * @returns The direction and the key it came from, or null when none is valid.
+ */
+function parseFrontmatterDirection(fm: Record<string, unknown> | undefined): { direction: DirectionSetting; key: string } | null {
+	if (!fm) return null;
+	for (const key of ['direction', ...FRONTMATTER_DIRECTION_ALIASES]) {
+		const value = fm[key];
+		if (key === 'rtl') {
+			if (typeof value === 'boolean') return { direction: value ? 'rtl' : 'ltr', key };
+			continue;
+		}
+		const direction = typeof value === 'string' ? value.trim().toLowerCase() : null;
+		if (direction === 'ltr' || direction === 'rtl' || direction === 'auto') return { direction, key };
+	}
+	return null;
+}
+
+/** Time (ms) within which a new note must be opened to count as created by the user in this window. */
+const NEW_NOTE_OPEN_DELAY = 3000;
+
+/** Number of batches kept in the direction journal. */
+const MAX_JOURNAL_BATCHES = 10;
+
+/** Typography settings and the CSS properties they set; the body gets `--intelligent-rtl-<script>-<property>`. */
+const TYPOGRAPHY_PROPERTIES: { key: keyof ScriptTypography; cssProperty: string; name: string }[] = [
+	{ key: 'fontFamily', cssProperty: 'font-family', name: 'Font family' },
+	{ key: 'fontSize', cssProperty: 'font-size', name: 'Font size' },
+	{ key: 'lineHeight', cssProperty: 'line-height', name: 'Line height' },
+	{ key: 'letterSpacing', cssProperty: 'letter-spacing', name: 'Letter spacing' }
+];
+
+/** Body classes enabling the typography rules of styles.css, one per script group and property. */
+const TYPOGRAPHY_CLASSES = (['hebrew', 'arabic', 'other'] as TypographyScript[])
+	.flatMap(script => TYPOGRAPHY_PROPERTIES.map(({ cssProperty }) => `intelligent-rtl-${script}-${cssProperty}`));
+
+/** View type of the diagnostics side pane. */
+const DIAGNOSTICS_VIEW_TYPE = 'intelligent-rtl-diagnostics';
+
+/** Body class that mirrors the workspace chrome (see styles.css). */
+const MIRROR_INTERFACE_CLASS = 'intelligent-rtl-mirror';
+
+/** Narrowest width, in pixels, a sidebar can be dragged to while the interface is mirrored. */
+const MIN_SIDEBAR_WIDTH = 200;
+
+/**
+ * ISO 639 codes of languages written right-to-left. Used by 'language' rules with an empty pattern.
+ */
+const RTL_LANGUAGE_CODES = ['ar', 'arc', 'ckb', 'dv', 'fa', 'he', 'iw', 'ji', 'ks', 'ku', 'nqo', 'ps', 'sd', 'syr', 'ug', 'ur', 'yi'];
+
+/**
+ * Converts a folder glob into a regular expression over vault paths.
+ * `**` matches any number of folders, `*` anything within one path segment and `?` a single character.
+ */
+function globToRegExp(glob: string): RegExp {
+	let source = '';
+	for (let i = 0; i < glob.length; i++) {
+		const char = glob[i];
+		if (char === '*' && glob[i + 1] === '*') {
+			const followedBySlash = glob[i + 2] === '/';
+			source += followedBySlash ? '(?:.*/)?' : '.*';
+			i += followedBySlash ? 2 : 1;
+		} else if (char === '*') {
+			source += '[^/]*';
+		} else if (char === '?') {
+			source += '[^/]';
 		} else {
-			this.updateStatusBarIndicator();
+			source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
 		}
+	}
+	return new RegExp(`^${source}$`);
+}
 
-		this.addCommands();
-		this.addSettingTab(new IntelligentRtlSettingTab(this.app, this));
-		console.log("Intelligent RTL Plugin loaded.");
+/** Placeholder of the pattern field of a direction rule, by matcher. */
+const RULE_PATTERN_PLACEHOLDERS: Record<DirectionRuleMatcher, string> = {
+	folder: 'Folder or glob',
+	tag: 'Tag',
+	filename: 'Regular expression',
+	language: 'All RTL languages'
+};
+
+/**
+ * Checks the pattern of a direction rule. Only file name patterns can be invalid (folder globs are escaped).
+ * @returns A message describing the problem, or null when the pattern is usable.
+ */
+function getRulePatternError(rule: DirectionRule): string | null {
+	const pattern = rule.pattern.trim();
+	if (rule.matcher !== 'filename' || !pattern) return null;
+	try {
+		new RegExp(pattern, 'i');
+		return null;
+	} catch (e) {
+		return `Invalid regular expression: ${e instanceof Error ? e.message : e}`;
 	}
+}
 
-	onunload() {
-		if (this.editorMutationObserver) this.editorMutationObserver.disconnect();
-		this.observedEditorElements.clear();
-		this.editorMutationObserver = null;
+/**
+ * Lines that start a block of their own even without a blank line before them:
+ * headings, list items, blockquote lines and table rows.
+ */
+const BLOCK_START_REGEX = /^\s*(?:#{1,6}\s|[-*+]\s|\d+[.)]\s|>|\|)/;
 
-		if (this.canvasObserver) this.canvasObserver.disconnect();
-		this.observedCanvasContainers.clear();
-		this.canvasObserver = null;
+/** Labels of the rule matchers, as shown in the settings and the status bar. */
+const RULE_MATCHER_LABELS: Record<DirectionRuleMatcher, string> = {
+	folder: 'Folder',
+	tag: 'Tag',
+	filename: 'File name',
+	language: 'Language'
+};
 
-		console.log("Intelligent RTL Plugin unloaded.");
+/**
+ * Effect dispatched to editors when the direction of their note changes,
+ * forcing the per-line decorations to be rebuilt.
+ */
+const refreshLineDirectionsEffect = StateEffect.define<null>();
+
+/**
+ * Cached detection of one editor line. `direction` is null for lines without letters.
+ */
+interface LineDetection {
+	direction: 'rtl' | 'ltr' | null;
+	rtl: number;
+	ltr: number;
+	/** Script group of the line's RTL letters, or null when it has none. */
+	script: TypographyScript | null;
+}
+
+/** Entries of the line detection cache above which it is emptied, so closed notes do not pile up. */
+const MAX_LINE_DETECTION_CACHE = 20000;
+
+/**
+ * Special block state of one editor line: the block the line belongs to, and the block still open after it.
+ */
+interface BlockLineState {
+	type: SpecialBlockType | null;
+	open: { type: SpecialBlockType; fence: string } | null;
+}
+
+const CODE_FENCE_REGEX = /^(`{3,}|~{3,})\s*([^\s`]*)/;
+const BLOCKQUOTE_PREFIX_REGEX = /^\s*(?:>\s?)*/;
+
+/**
+ * Works out which special block a line belongs to, from the block left open by the line before it.
+ * Fences inside blockquotes and callouts are recognised; indented code is not.
+ */
+function scanBlockLine(text: string, lineNo: number, openBefore: BlockLineState['open']): BlockLineState {
+	if (openBefore) {
+		const { type, fence } = openBefore;
+		if (type === 'frontmatter') return { type, open: /^(?:---|\.\.\.)\s*$/.test(text) ? null : openBefore };
+		const content = text.replace(BLOCKQUOTE_PREFIX_REGEX, '').trim();
+		if (type === 'math') return { type, open: content.endsWith('$$') ? null : openBefore };
+		// A code fence closes with at least as many of the same fence characters and nothing else.
+		const closes = content.length >= fence.length && content === fence[0].repeat(content.length);
+		return { type, open: closes ? null : openBefore };
 	}
+	if (lineNo === 1 && /^---\s*$/.test(text)) return { type: 'frontmatter', open: { type: 'frontmatter', fence: '---' } };
+	const content = text.replace(BLOCKQUOTE_PREFIX_REGEX, '').trimStart();
+	const fenceMatch = CODE_FENCE_REGEX.exec(content);
+	if (fenceMatch) {
+		const type = fenceMatch[2].toLowerCase() === 'mermaid' ? 'mermaid' : 'code';
+		return { type, open: { type, fence: fenceMatch[1] } };
+	}
+	if (content.startsWith('$$')) {
+		const closedOnSameLine = content.trimEnd().length >= 4 && content.trimEnd().endsWith('$$');
+		return { type: 'math', open: closedOnSameLine ? null : { type: 'math', fence: '$$' } };
+	}
+	return { type: null, open: null };
+}
 
-	addCommands() {
-        const commands = [
-            { id: 'set-note-direction-rtl', name: 'Set current note to RTL', dir: 'rtl' as DirectionSetting },
-            { id: 'set-note-direction-ltr', name: 'Set current note to LTR', dir: 'ltr' as DirectionSetting },
-            { id: 'set-note-direction-auto', name: 'Set current note to Auto-Detect direction', dir: 'auto' as DirectionSetting },
-            { id: 'clear-note-direction-override', name: 'Clear current note direction override', dir: null }
-        ];
-        commands.forEach(cmd => {
-            this.addCommand({ id: cmd.id, name: cmd.name, callback: async () => await this.setNoteDirection(cmd.dir) });
-        });
-    }
+/**
+ * Special block state of every line of an editor, indexed by line number - 1. After an edit, lines are
+ * scanned again from the first changed line only until the scan is back in step with the previous one.
+ */
+const specialBlockField = StateField.define<BlockLineState[]>({
+	create: state => {
+		const states: BlockLineState[] = [];
+		for (let lineNo = 1; lineNo <= state.doc.lines; lineNo++) {
+			states.push(scanBlockLine(state.doc.line(lineNo).text, lineNo, states[lineNo - 2]?.open ?? null));
+		}
+		return states;
+	},
+	update(states, tr) {
+		if (!tr.docChanged) return states;
+		const doc = tr.state.doc;
+		let firstChangedLine = doc.lines;
+		let lastChangedLine = 1;
+		tr.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+			firstChangedLine = Math.min(firstChangedLine, doc.lineAt(fromB).number);
+			lastChangedLine = Math.max(lastChangedLine, doc.lineAt(toB).number);
+		});
+		const lineDelta = doc.lines - tr.startState.doc.lines;
+		const next = states.slice(0, firstChangedLine - 1);
+		for (let lineNo = firstChangedLine; lineNo <= doc.lines; lineNo++) {
+			const state = scanBlockLine(doc.line(lineNo).text, lineNo, next[lineNo - 2]?.open ?? null);
+			next.push(state);
+			const previous = states[lineNo - 1 - lineDelta];
+			if (lineNo > lastChangedLine && previous && isSameOpenBlock(previous.open, state.open)) {
+				return next.concat(states.slice(lineNo - lineDelta)); // The rest of the document scans as before
+			}
+		}
+		return next;
+	}
+});
+
+function isSameOpenBlock(a: BlockLineState['open'], b: BlockLineState['open']): boolean {
+	return a === b || (a !== null && b !== null && a.type === b.type && a.fence === b.fence);
+}
+
+/**
+ * A direction set inside a note by a `%% dir: rtl %%` marker or a `{dir=rtl}` heading attribute.
+ * It ends at the next heading of `level` or above; markers also end at the next marker or `%% dir: end %%`.
+ */
+interface SectionScope {
+	direction: DirectionSetting;
+	level: number;
+	marker: boolean;
+}
+
+/**
+ * Section direction state of one line: the open scopes (innermost last), the level of the heading the line
+ * is under (0 before the first heading), and whether the line is a marker itself.
+ */
+interface SectionLineState {
+	scopes: SectionScope[];
+	headingLevel: number;
+	isMarker: boolean;
+}
+
+const SECTION_MARKER_REGEX = /^\s*%%\s*dir\s*:\s*(rtl|ltr|auto|end)\s*%%\s*$/i;
+const HEADING_REGEX = /^(#{1,6})\s/;
+const HEADING_DIRECTION_ATTRIBUTE_REGEX = /\s*\{\s*dir\s*=\s*(rtl|ltr|auto)\s*\}\s*$/i;
+const EMPTY_SECTION_STATE: SectionLineState = { scopes: [], headingLevel: 0, isMarker: false };
+
+/**
+ * Works out the section direction state of a line from the state of the line before it.
+ * Lines of special blocks (code, math, frontmatter) carry the state over unchanged.
+ */
+function scanSectionLine(text: string, inSpecialBlock: boolean, before: SectionLineState): SectionLineState {
+	const carried = before.isMarker ? { ...before, isMarker: false } : before;
+	if (inSpecialBlock) return carried;
+	const headingMatch = HEADING_REGEX.exec(text);
+	if (headingMatch) {
+		const level = headingMatch[1].length;
+		const scopes = carried.scopes.filter(scope => scope.level < level);
+		const attribute = HEADING_DIRECTION_ATTRIBUTE_REGEX.exec(text);
+		if (attribute) scopes.push({ direction: attribute[1].toLowerCase() as DirectionSetting, level, marker: false });
+		return { scopes, headingLevel: level, isMarker: false };
+	}
+	const markerMatch = SECTION_MARKER_REGEX.exec(text);
+	if (markerMatch) {
+		const scopes = carried.scopes.slice();
+		const top = scopes[scopes.length - 1];
+		if (top?.marker && top.level === carried.headingLevel) scopes.pop(); // The next marker replaces the previous one
+		const value = markerMatch[1].toLowerCase();
+		if (value !== 'end') scopes.push({ direction: value as DirectionSetting, level: carried.headingLevel, marker: true });
+		return { scopes, headingLevel: carried.headingLevel, isMarker: true };
+	}
+	return carried;
+}
+
+function isSameSectionState(a: SectionLineState, b: SectionLineState): boolean {
+	if (a === b) return true;
+	if (a.headingLevel !== b.headingLevel || a.isMarker !== b.isMarker || a.scopes.length !== b.scopes.length) return false;
+	return a.scopes.every((scope, i) => scope.direction === b.scopes[i].direction && scope.level === b.scopes[i].level && scope.marker === b.scopes[i].marker);
+}
+
+/**
+ * Scans the section direction state of every line of a Markdown source, for Reading view.
+ */
+function scanSectionDirections(lines: string[]): SectionLineState[] {
+	const states: SectionLineState[] = [];
+	let open: BlockLineState['open'] = null;
+	lines.forEach((text, i) => {
+		const block = scanBlockLine(text, i + 1, open);
+		open = block.open;
+		states.push(scanSectionLine(text, block.type !== null, states[i - 1] ?? EMPTY_SECTION_STATE));
+	});
+	return states;
+}
+
+/**
+ * Returns the lines of a Markdown source that speak for the note's direction, joined: frontmatter, code,
+ * math, section markers and sections with their own direction are left out, as in getDocumentDirection.
+ */
+function getNoteDirectionText(lines: string[]): string {
+	const sections = scanSectionDirections(lines);
+	let open: BlockLineState['open'] = null;
+	return lines.filter((text, i) => {
+		const block = scanBlockLine(text, i + 1, open);
+		open = block.open;
+		return block.type === null && !sections[i].isMarker && sections[i].scopes.length === 0;
+	}).join('\n');
+}
+
+/**
+ * Section direction state of every line of an editor, indexed by line number - 1. Reads specialBlockField,
+ * so it is registered after it. Like specialBlockField, an edit rescans from the first changed line only
+ * until both scans are back in step with the previous ones.
+ */
+const sectionDirectionField = StateField.define<SectionLineState[]>({
+	create: state => {
+		const blocks = state.field(specialBlockField, false);
+		const states: SectionLineState[] = [];
+		for (let lineNo = 1; lineNo <= state.doc.lines; lineNo++) {
+			states.push(scanSectionLine(state.doc.line(lineNo).text, !!blocks?.[lineNo - 1]?.type, states[lineNo - 2] ?? EMPTY_SECTION_STATE));
+		}
+		return states;
+	},
+	update(states, tr) {
+		if (!tr.docChanged) return states;
+		const doc = tr.state.doc;
+		const blocks = tr.state.field(specialBlockField, false);
+		const previousBlocks = tr.startState.field(specialBlockField, false);
+		let firstChangedLine = doc.lines;
+		let lastChangedLine = 1;
+		tr.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+			firstChangedLine = Math.min(firstChangedLine, doc.lineAt(fromB).number);
+			lastChangedLine = Math.max(lastChangedLine, doc.lineAt(toB).number);
+		});
+		const lineDelta = doc.lines - tr.startState.doc.lines;
+		const next = states.slice(0, firstChangedLine - 1);
+		for (let lineNo = firstChangedLine; lineNo <= doc.lines; lineNo++) {
+			const state = scanSectionLine(doc.line(lineNo).text, !!blocks?.[lineNo - 1]?.type, next[lineNo - 2] ?? EMPTY_SECTION_STATE);
+			next.push(state);
+			const previous = states[lineNo - 1 - lineDelta];
+			const previousBlock = previousBlocks?.[lineNo - 1 - lineDelta];
+			if (lineNo > lastChangedLine && previous && isSameSectionState(previous, state) &&
+				previousBlock && isSameOpenBlock(previousBlock.open, blocks?.[lineNo - 1]?.open ?? null)) {
+				return next.concat(states.slice(lineNo - lineDelta));
+			}
+		}
+		return next;
+	}
+});
+
+/**
+ * RTL and LTR letters of every line of an editor that speaks for the note's direction (zero for the others),
+ * indexed by line number - 1, and their sums.
+ */
+interface DocumentLetterCounts {
+	lines: Pick<LineDetection, 'rtl' | 'ltr'>[];
+	rtl: number;
+	ltr: number;
+}
+
+const NO_LETTERS: Pick<LineDetection, 'rtl' | 'ltr'> = { rtl: 0, ltr: 0 };
+
+/**
+ * Builds the state field behind the 'ratio' strategy of getDocumentDirection. Reads specialBlockField and
+ * sectionDirectionField, so it is registered after them. An edit counts the changed lines again, and the
+ * lines after them until both fields reuse their previous states; a refresh counts every line again.
+ */
+function createDocumentLetterCountsField(plugin: IntelligentRtlPlugin) {
+	const countLine = (state: EditorState, lineNo: number) => {
+		if (plugin.getSpecialBlockType(state, lineNo)) return NO_LETTERS;
+		if (plugin.getLineSectionState(state, lineNo)?.isMarker || plugin.getLineSectionDirection(state, lineNo)) return NO_LETTERS;
+		return plugin.getLineDetection(state, lineNo);
+	};
+	const countDocument = (state: EditorState): DocumentLetterCounts => {
+		const counts: DocumentLetterCounts = { lines: [], rtl: 0, ltr: 0 };
+		for (let lineNo = 1; lineNo <= state.doc.lines; lineNo++) {
+			const line = countLine(state, lineNo);
+			counts.lines.push(line);
+			counts.rtl += line.rtl;
+			counts.ltr += line.ltr;
+		}
+		return counts;
+	};
+	return StateField.define<DocumentLetterCounts>({
+		create: countDocument,
+		update(counts, tr) {
+			// Detection settings or the note's direction changed
+			if (tr.effects.some(effect => effect.is(refreshLineDirectionsEffect))) return countDocument(tr.state);
+			if (!tr.docChanged) return counts;
+			const doc = tr.state.doc;
+			const blocks = tr.state.field(specialBlockField, false);
+			const previousBlocks = tr.startState.field(specialBlockField, false);
+			const sections = tr.state.field(sectionDirectionField, false);
+			const previousSections = tr.startState.field(sectionDirectionField, false);
+			let firstChangedLine = doc.lines;
+			let lastChangedLine = 1;
+			tr.changes.iterChangedRanges((fromA, toA, fromB, toB) => {
+				firstChangedLine = Math.min(firstChangedLine, doc.lineAt(fromB).number);
+				lastChangedLine = Math.max(lastChangedLine, doc.lineAt(toB).number);
+			});
+			const lineDelta = doc.lines - tr.startState.doc.lines;
+			const lines = counts.lines.slice(0, firstChangedLine - 1);
+			let { rtl, ltr } = counts;
+			let reusedFrom = counts.lines.length;
+			for (let lineNo = firstChangedLine; lineNo <= doc.lines; lineNo++) {
+				const previousIndex = lineNo - 1 - lineDelta;
+				if (lineNo > lastChangedLine && previousIndex >= firstChangedLine - 1 && previousIndex < counts.lines.length &&
+					blocks?.[lineNo - 1] === previousBlocks?.[previousIndex] && sections?.[lineNo - 1] === previousSections?.[previousIndex]) {
+					reusedFrom = previousIndex; // The rest of the document counts as before
+					break;
+				}
+				const line = countLine(tr.state, lineNo);
+				lines.push(line);
+				rtl += line.rtl;
+				ltr += line.ltr;
+			}
+			for (let i = firstChangedLine - 1; i < reusedFrom; i++) {
+				rtl -= counts.lines[i].rtl;
+				ltr -= counts.lines[i].ltr;
+			}
+			return { lines: lines.concat(counts.lines.slice(reusedFrom)), rtl, ltr };
+		}
+	});
+}
+
+/** Line decorations are shared between all editors; only the `dir` and `data-rtl-script` attributes differ. */
+const LINE_DIRECTION_DECORATIONS = {
+	rtl: Decoration.line({ attributes: { dir: 'rtl' } }),
+	ltr: Decoration.line({ attributes: { dir: 'ltr' } })
+};
+const SCRIPT_LINE_DECORATIONS: Record<TypographyScript, Decoration> = {
+	hebrew: Decoration.line({ attributes: { dir: 'rtl', 'data-rtl-script': 'hebrew' } }),
+	arabic: Decoration.line({ attributes: { dir: 'rtl', 'data-rtl-script': 'arabic' } }),
+	other: Decoration.line({ attributes: { dir: 'rtl', 'data-rtl-script': 'other' } })
+};
+/** Script without a direction, for RTL lines of editors whose own direction applies. */
+const SCRIPT_ONLY_LINE_DECORATIONS: Record<TypographyScript, Decoration> = {
+	hebrew: Decoration.line({ attributes: { 'data-rtl-script': 'hebrew' } }),
+	arabic: Decoration.line({ attributes: { 'data-rtl-script': 'arabic' } }),
+	other: Decoration.line({ attributes: { 'data-rtl-script': 'other' } })
+};
+
+/**
+ * Returns the typography group with the most RTL letters in a detection. Letters of RTL scripts other than
+ * Hebrew and Arabic are those counted as RTL but not under either name.
+ */
+function getTypographyScript({ counts, scripts }: Pick<DirectionDetection, 'counts' | 'scripts'>): TypographyScript | null {
+	const hebrew = scripts.Hebrew ?? 0;
+	const arabic = scripts.Arabic ?? 0;
+	const groups: [TypographyScript, number][] = [['hebrew', hebrew], ['arabic', arabic], ['other', counts.rtl - hebrew - arabic]];
+	const [best, bestCount] = groups.reduce((a, b) => b[1] > a[1] ? b : a);
+	return bestCount > 0 ? best : null;
+}
+
+/**
+ * Builds the CodeMirror 6 extension that gives every line of an 'auto' editor its own direction.
+ * Lines without any letters (numbers, symbols, empty list items) inherit the direction of the
+ * previous line in the same paragraph, so a paragraph never flips halfway through.
+ * Lines of special blocks with a forced direction get it in every editor.
+ */
+function createLineDirectionExtension(plugin: IntelligentRtlPlugin) {
+	return ViewPlugin.fromClass(class {
+		decorations: DecorationSet;
+
+		constructor(view: EditorView) {
+			this.decorations = this.buildDecorations(view);
+			plugin.applyDocumentDirection(view);
+		}
+
+		update(update: ViewUpdate) {
+			const refreshRequested = update.transactions.some(tr => tr.effects.some(effect => effect.is(refreshLineDirectionsEffect)));
+			if (update.docChanged || update.viewportChanged || refreshRequested) {
+				this.decorations = this.buildDecorations(update.view);
+			}
+			if (update.docChanged || refreshRequested) plugin.applyDocumentDirection(update.view);
+		}
+
+		buildDecorations(view: EditorView): DecorationSet {
+			const builder = new RangeSetBuilder<Decoration>();
+			const perLine = plugin.isLineDirectionActive(view);
+			try {
+				const typography = plugin.hasTypography();
+				for (const { line, direction, forced } of plugin.getVisibleLineDirections(view)) {
+					// RTL lines carry their script when typography is set, even where the editor's own direction applies.
+					const script = direction === 'rtl' && typography ? plugin.getLineDetection(view.state, line.number).script : null;
+					if (!perLine && !forced) {
+						if (script) builder.add(line.from, line.from, SCRIPT_ONLY_LINE_DECORATIONS[script]);
+						continue; // The editor's own direction applies
+					}
+					builder.add(line.from, line.from, script ? SCRIPT_LINE_DECORATIONS[script] : LINE_DIRECTION_DECORATIONS[direction]);
+				}
+			} catch (e) {
+				console.error("Error building line direction decorations:", e);
+			}
+			return builder.finish();
+		}
+	}, { decorations: value => value.decorations });
+}
+
+/**
+ * Builds the CodeMirror 6 extension that gives the table widgets of live preview the direction of their note,
+ * per-cell directions and logical alignment (see applyTableDirection). The widgets are Obsidian's DOM, so
+ * they are updated in a measure cycle, after CodeMirror has drawn them.
+ */
+function createTableDirectionExtension(plugin: IntelligentRtlPlugin) {
+	return ViewPlugin.fromClass(class {
+		constructor(view: EditorView) {
+			this.scheduleUpdate(view);
+		}
+
+		update(update: ViewUpdate) {
+			const refreshRequested = update.transactions.some(tr => tr.effects.some(effect => effect.is(refreshLineDirectionsEffect)));
+			// Cells render after the widget is inserted, which changes its height.
+			if (update.docChanged || update.viewportChanged || update.geometryChanged || refreshRequested) {
+				this.scheduleUpdate(update.view);
+			}
+		}
+
+		scheduleUpdate(view: EditorView) {
+			view.requestMeasure({ key: this, read: () => null, write: () => plugin.applyEditorTableDirections(view) });
+		}
+	});
+}
+
+/** Source of an ordered list item: blockquote and indentation prefix, number and delimiter. */
+const ORDERED_LIST_MARKER_REGEX = /^((?:\s*>)*\s*)(\d+)([.)])(?=\s)/;
+
+const HEBREW_NUMERALS = {
+	hundreds: ['', 'ק', 'ר', 'ש', 'ת'],
+	tens: ['', 'י', 'כ', 'ל', 'מ', 'נ', 'ס', 'ע', 'פ', 'צ'],
+	ones: ['', 'א', 'ב', 'ג', 'ד', 'ה', 'ו', 'ז', 'ח', 'ט']
+};
+
+/**
+ * Formats a list number in a numbering style, matching the CSS counter style of the same name
+ * so live preview shows the same markers as Reading view.
+ */
+function formatListNumber(value: number, style: ListNumberingStyle): string {
+	switch (style) {
+		case 'arabic-indic':
+			return String(value).replace(/\d/g, digit => String.fromCharCode(0x0660 + Number(digit)));
+		case 'persian':
+			return String(value).replace(/\d/g, digit => String.fromCharCode(0x06F0 + Number(digit)));
+		case 'hebrew': {
+			if (value < 1 || value > 999) return String(value); // Beyond the range used by list numbers
+			let numeral = 'ת'.repeat(Math.floor(value / 400));
+			let rest = value % 400;
+			numeral += HEBREW_NUMERALS.hundreds[Math.floor(rest / 100)];
+			rest %= 100;
+			if (rest === 15 || rest === 16) return numeral + (rest === 15 ? 'טו' : 'טז'); // Avoids spelling the divine name
+			return numeral + HEBREW_NUMERALS.tens[Math.floor(rest / 10)] + HEBREW_NUMERALS.ones[rest % 10];
+		}
+		default:
+			return String(value);
+	}
+}
+
+/**
+ * Shows a localized ordered list marker in place of the typed number.
+ */
+class ListNumberWidget extends WidgetType {
+	constructor(readonly marker: string) {
+		super();
+	}
+
+	eq(other: ListNumberWidget): boolean {
+		return other.marker === this.marker;
+	}
+
+	toDOM(): HTMLElement {
+		return createSpan({ cls: 'list-number intelligent-rtl-list-number', text: this.marker });
+	}
+}
+
+/**
+ * Builds the CodeMirror 6 extension that shows ordered list numbers of RTL lines in the configured
+ * numbering style in live preview. The typed number is shown again while the cursor is on it.
+ */
+function createListNumberingExtension(plugin: IntelligentRtlPlugin) {
+	return ViewPlugin.fromClass(class {
+		decorations: DecorationSet;
+
+		constructor(view: EditorView) {
+			this.decorations = this.buildDecorations(view);
+		}
+
+		update(update: ViewUpdate) {
+			const refreshRequested = update.transactions.some(tr => tr.effects.some(effect => effect.is(refreshLineDirectionsEffect)));
+			if (update.docChanged || update.viewportChanged || update.selectionSet || refreshRequested) {
+				this.decorations = this.buildDecorations(update.view);
+			}
+		}
+
+		buildDecorations(view: EditorView): DecorationSet {
+			const builder = new RangeSetBuilder<Decoration>();
+			const style = plugin.settings.listNumbering;
+			if (style === 'decimal' || !view.state.field(editorLivePreviewField, false)) return builder.finish();
+			try {
+				const { ranges } = view.state.selection;
+				for (const { line, direction } of plugin.getVisibleLineDirections(view)) {
+					if (direction !== 'rtl') continue;
+					const match = ORDERED_LIST_MARKER_REGEX.exec(line.text);
+					if (!match) continue;
+					const from = line.from + match[1].length;
+					const to = from + match[2].length + match[3].length;
+					if (!syntaxTree(view.state).resolveInner(from, 1).name.includes('formatting-list-ol')) continue; // e.g. inside code blocks
+					if (ranges.some(range => range.from <= to && range.to >= from)) continue;
+					builder.add(from, to, Decoration.replace({ widget: new ListNumberWidget(formatListNumber(Number(match[2]), style) + match[3]) }));
+				}
+			} catch (e) {
+				console.error("Error building list numbering decorations:", e);
+			}
+			return builder.finish();
+		}
+	}, { decorations: value => value.decorations });
+}
+
+/** Mark decorations for isolated inline spans, by the span's own direction. */
+const ISOLATION_DECORATIONS = {
+	rtl: Decoration.mark({ class: 'intelligent-rtl-isolate', attributes: { dir: 'rtl' } }),
+	ltr: Decoration.mark({ class: 'intelligent-rtl-isolate', attributes: { dir: 'ltr' } })
+};
+
+/**
+ * Builds the CodeMirror 6 extension that isolates inline code, URLs, paths, wikilinks, emails and
+ * math inside RTL lines, so the bidi algorithm does not reorder their punctuation and words.
+ */
+function createBidiIsolationExtension(plugin: IntelligentRtlPlugin) {
+	return ViewPlugin.fromClass(class {
+		decorations: DecorationSet;
+
+		constructor(view: EditorView) {
+			this.decorations = this.buildDecorations(view);
+		}
+
+		update(update: ViewUpdate) {
+			const refreshRequested = update.transactions.some(tr => tr.effects.some(effect => effect.is(refreshLineDirectionsEffect)));
+			if (update.docChanged || update.viewportChanged || refreshRequested) {
+				this.decorations = this.buildDecorations(update.view);
+			}
+		}
+
+		buildDecorations(view: EditorView): DecorationSet {
+			const builder = new RangeSetBuilder<Decoration>();
+			const types = plugin.getIsolatedSpanTypes();
+			if (types.length === 0) return builder.finish();
+			try {
+				for (const { line, direction } of plugin.getVisibleLineDirections(view)) {
+					if (direction !== 'rtl') continue; // LTR runs only get scrambled inside RTL lines
+					for (const span of findInlineSpans(line.text, types)) {
+						const spanDirection = plugin.getSpanForcedDirection(span.type) ?? span.direction;
+						builder.add(line.from + span.from, line.from + span.to, ISOLATION_DECORATIONS[spanDirection]);
+					}
+				}
+			} catch (e) {
+				console.error("Error building bidi isolation decorations:", e);
+			}
+			return builder.finish();
+		}
+	}, { decorations: value => value.decorations });
+}
+
+/** Full names of the bidi controls, for labels and command names. */
+const BIDI_CONTROL_TITLES: Record<BidiControlName, string> = {
+	LRM: 'Left-to-right mark',
+	RLM: 'Right-to-left mark',
+	ALM: 'Arabic letter mark',
+	LRE: 'Left-to-right embedding',
+	RLE: 'Right-to-left embedding',
+	PDF: 'Pop directional formatting',
+	LRO: 'Left-to-right override',
+	RLO: 'Right-to-left override',
+	LRI: 'Left-to-right isolate',
+	RLI: 'Right-to-left isolate',
+	FSI: 'First strong isolate',
+	PDI: 'Pop directional isolate'
+};
+
+/**
+ * Shows an invisible bidi control character as a small label.
+ */
+class BidiControlWidget extends WidgetType {
+	constructor(readonly name: BidiControlName) {
+		super();
+	}
+
+	eq(other: BidiControlWidget): boolean {
+		return other.name === this.name;
+	}
+
+	toDOM(): HTMLElement {
+		const label = createSpan({ cls: 'intelligent-rtl-bidi-control', text: this.name });
+		label.setAttribute('aria-label', BIDI_CONTROL_TITLES[this.name]);
+		return label;
+	}
+}
+
+/**
+ * Builds the CodeMirror 6 extension that makes bidi control characters visible, when enabled in the settings.
+ * Each control is replaced by a label; the character itself stays in the note.
+ */
+function createBidiControlExtension(plugin: IntelligentRtlPlugin) {
+	return ViewPlugin.fromClass(class {
+		decorations: DecorationSet;
+
+		constructor(view: EditorView) {
+			this.decorations = this.buildDecorations(view);
+		}
+
+		update(update: ViewUpdate) {
+			const refreshRequested = update.transactions.some(tr => tr.effects.some(effect => effect.is(refreshLineDirectionsEffect)));
+			if (update.docChanged || update.viewportChanged || refreshRequested) {
+				this.decorations = this.buildDecorations(update.view);
+			}
+		}
+
+		buildDecorations(view: EditorView): DecorationSet {
+			const builder = new RangeSetBuilder<Decoration>();
+			if (!plugin.settings.showBidiControls) return builder.finish();
+			try {
+				for (const { from, to } of view.visibleRanges) {
+					for (const { name, index } of findBidiControls(view.state.doc.sliceString(from, to))) {
+						builder.add(from + index, from + index + 1, Decoration.replace({ widget: new BidiControlWidget(name) }));
+					}
+				}
+			} catch (e) {
+				console.error("Error building bidi control decorations:", e);
+			}
+			return builder.finish();
+		}
+	}, { decorations: value => value.decorations });
+}
+
+/**
+ * Rendered elements isolated in Reading view, by span type.
+ */
+const READING_VIEW_ISOLATION_SELECTORS: Record<InlineSpanType, string> = {
+	code: 'code:not(pre > code)',
+	math: '.math-inline, mjx-container:not([display="true"])',
+	wikilink: 'a.internal-link',
+	url: 'a.external-link',
+	email: 'a[href^="mailto:"]',
+	path: ''
+};
+
+/**
+ * Rendered blocks that get their own direction in Reading view when a note resolves to 'auto'.
+ */
+const READING_VIEW_BLOCK_SELECTOR = 'p, h1, h2, h3, h4, h5, h6, li, blockquote, .callout';
+
+/**
+ * Returns the text of a rendered block without the text of nested blocks (e.g. sub-lists of a list item),
+ * which get their own direction.
+ */
+function getOwnBlockText(block: HTMLElement): string {
+	if (block.tagName !== 'LI') return block.textContent || "";
+	let text = "";
+	block.childNodes.forEach(child => {
+		if (child.instanceOf(HTMLElement) && (child.tagName === 'UL' || child.tagName === 'OL')) return;
+		text += child.textContent || "";
+	});
+	return text;
+}
+
+
+/**
+ * Main plugin class for Intelligent RTL Management.
+ */
+export default class IntelligentRtlPlugin extends Plugin {
+	settings: IntelligentRtlSettings;
+	/** Resolved direction of the note shown in each leaf, so split panes and pop-out windows keep their own direction. */
+	leafDirections: WeakMap<WorkspaceLeaf, LeafDirectionState> = new WeakMap();
+	/** Last resolved direction per note path, used to fire DIRECTION_CHANGED_EVENT only on actual changes. */
+	knownDirections: Map<string, DirectionSetting> = new Map();
+	/** Ids of the registered per-profile switch commands, so deleted profiles lose theirs. */
+	profileCommandIds: Set<string> = new Set();
+	/** Public API for other plugins: `app.plugins.plugins['hebrew-rtl-support'].api`. */
+	api: IntelligentRtlApi;
+	statusBarItemEl: HTMLElement | null = null;
+	canvasObserver: MutationObserver | null = null;
+	observedCanvasContainers: Set<Element> = new Set();
+	/** `.canvas-nodes` elements with added cards, applied together by the debounced canvas flush. */
+	pendingCanvasContainers: Set<Element> = new Set();
+	debouncedFlushCanvasDirections: Debounced<[]> | null = null;
+	/** Watches the document body of each window for modals and suggesters, and 'auto' overlays for content changes. */
+	overlayObserver: MutationObserver | null = null;
+	observedOverlayRoots: Set<Element> = new Set();
+	/** Watches 'auto' containers with items for items added, renamed or re-rendered later. */
+	itemObserver: MutationObserver | null = null;
+	observedItemContainers: Set<Element> = new Set();
+	/** Text each item was last detected with, so re-applying skips unchanged items. */
+	itemDetectedText: WeakMap<Element, string> = new WeakMap();
+	/** Section directions of the note last rendered in Reading view; every section of a note shares one scan. */
+	renderedSectionStates: { source: string; states: SectionLineState[] } | null = null;
+	debouncedApplyUiContainers: Debounced<[]> | null = null;
+	/** Notes created since the layout was ready, by path, with their creation time; see claimNewNote. */
+	newNoteCandidates: Map<string, number> = new Map();
+	/**
+	 * Detections of editor lines, by line text, shared by all editors. A detection only depends on the text and
+	 * the detection settings, so an edit only detects the lines whose text is new; emptied when settings change.
+	 * Kept outside the editor state, whose values must not be changed in place.
+	 */
+	lineDetectionCache: Map<string, LineDetection> = new Map();
+	/** Letter counts of the lines of each editor, kept up to date edit by edit; see getDocumentDirection. */
+	documentLetterCountsField = createDocumentLetterCountsField(this);
+	/** Paths of notes created in this window this session whose direction is not locked in yet. */
+	pendingNewNotes: Set<string> = new Set();
+
+	async onload() {
+		await this.loadSettings();
+		this.api = new IntelligentRtlApi(this);
+		this.overlayObserver = new MutationObserver(this.handleOverlayMutation.bind(this));
+		this.itemObserver = new MutationObserver(this.handleItemMutation.bind(this));
+		// Tab headers and inline titles are recreated as panes open and notes change.
+		this.debouncedApplyUiContainers = this.debounce(() => this.applyUiContainers(), 200);
+		this.applyAllUiSettings();
+
+		// Mutation observer for new canvas cards.
+		// Performance: Pasting or duplicating many cards fires a burst of mutations; they are applied in one batch.
+		this.canvasObserver = new MutationObserver(this.handleCanvasMutation.bind(this));
+		this.debouncedFlushCanvasDirections = this.debounce(() => this.flushCanvasDirections(), 100);
+
+		// Per-line direction for editors resolved to 'auto'.
+		this.registerEditorExtension([specialBlockField, sectionDirectionField, this.documentLetterCountsField, createLineDirectionExtension(this)]);
+		this.registerEditorExtension(createBidiIsolationExtension(this));
+		this.registerEditorExtension(createTableDirectionExtension(this));
+		this.registerEditorExtension(createListNumberingExtension(this));
+		this.registerEditorExtension(createBidiControlExtension(this));
+		// Reading view, embeds and hover previews.
+		this.registerMarkdownPostProcessor((el, ctx) => this.handleMarkdownPostProcess(el, ctx));
+
+		this.registerEvent(this.app.workspace.on('file-open', async (file) => {
+			if (file) this.claimNewNote(file);
+			await this.handleFileOpen(file);
+			this.debouncedApplyUiContainers?.();
+		}));
+		this.registerEvent(this.app.workspace.on('active-leaf-change', (leaf) => {
+			if (leaf) this.refreshLeafDirection(leaf);
+			this.updateStatusBarIndicator();
+		}));
+		// Panes opened, split, navigated or moved to another window.
+		this.registerEvent(this.app.workspace.on('layout-change', () => {
+			this.refreshAllLeafDirections();
+			this.debouncedApplyUiContainers?.();
+		}));
+		this.registerEvent(this.app.workspace.on('window-open', () => this.applyAllUiSettings()));
+		// Sidebars only exist in the main window. Capturing lets the plugin take the drag before Obsidian does.
+		this.registerDomEvent(document, 'mousedown', (evt) => this.handleMirroredSidebarResize(evt), { capture: true });
+		// Frontmatter, tags or language edited by hand.
+		this.registerEvent(this.app.metadataCache.on('changed', (file) => {
+			this.trackResolvedDirection(file, this.resolveNoteDirectionDetails(file));
+			this.refreshLeafDirectionsForFile(file);
+			this.refreshCanvasFileCards(file);
+			if (this.pendingNewNotes.has(file.path)) this.checkNewNoteLockIn(file);
+		}));
+		// The vault reports every existing file as created while it loads, so only notes created afterwards are new.
+		// They only become candidates: sync, git and other plugins create notes too, see claimNewNote.
+		this.app.workspace.onLayoutReady(() => {
+			this.registerEvent(this.app.vault.on('create', (file) => {
+				if (this.settings.newNoteLockIn.mode === 'off' || !(file instanceof TFile) || file.extension !== 'md') return;
+				const now = Date.now();
+				this.newNoteCandidates.forEach((created, path) => {
+					if (now - created > NEW_NOTE_OPEN_DELAY) this.newNoteCandidates.delete(path);
+				});
+				this.newNoteCandidates.set(file.path, now);
+			}));
+		});
+		this.registerEvent(this.app.vault.on('rename', (file, oldPath) => {
+			const known = this.knownDirections.get(oldPath);
+			this.knownDirections.delete(oldPath);
+			if (known !== undefined) this.knownDirections.set(file.path, known);
+			if (this.pendingNewNotes.delete(oldPath)) this.pendingNewNotes.add(file.path);
+			const created = this.newNoteCandidates.get(oldPath);
+			if (created !== undefined && this.newNoteCandidates.delete(oldPath)) this.newNoteCandidates.set(file.path, created);
+			this.renameStoredNoteDirections(file, oldPath);
+			// The new path can match other folder or file name rules; renaming a folder moves every note inside it.
+			if (file instanceof TFile) {
+				this.refreshLeafDirectionsForFile(file);
+				this.refreshCanvasFileCards(file);
+			} else {
+				this.refreshAllLeafDirections();
+			}
+			this.debouncedApplyUiContainers?.(); // Tab headers and inline titles show the new name
+		}));
+		this.registerEvent(this.app.vault.on('delete', (file) => {
+			this.knownDirections.delete(file.path);
+			this.pendingNewNotes.delete(file.path);
+			this.newNoteCandidates.delete(file.path);
+			this.deleteStoredNoteDirections(file);
+		}));
+		// Per-card direction in the canvas card context menu (undocumented workspace event).
+		const canvasWorkspace = this.app.workspace as unknown as { on(name: 'canvas:node-menu', callback: (menu: Menu, node: CanvasNodeLike) => void): EventRef };
+		this.registerEvent(canvasWorkspace.on('canvas:node-menu', (menu, node) => this.addCanvasNodeMenuItems(menu, node)));
+
+		this.statusBarItemEl = this.addStatusBarItem();
+		this.statusBarItemEl.addClass('mod-clickable');
+		this.statusBarItemEl.setAttribute('aria-label', 'Change note text direction');
+		this.statusBarItemEl.setAttribute('aria-live', 'polite');
+		this.statusBarItemEl.addEventListener('click', (evt) => this.openStatusBarMenu(evt));
+		// The explanation needs detection over the whole note, so it is only computed when it is about to be shown.
+		this.statusBarItemEl.addEventListener('mouseenter', () => this.updateStatusBarTooltip());
+
+		await this.handleFileOpen(this.app.workspace.getActiveFile());
+
+		this.addCommands();
+		this.addSettingTab(new IntelligentRtlSettingTab(this.app, this));
+		this.registerView(DIAGNOSTICS_VIEW_TYPE, leaf => new DiagnosticsView(leaf, this));
+		console.log("Intelligent RTL Plugin loaded.");
+	}
+
+	onunload() {
+		// A pending call would run against a plugin that is already unloaded.
+		this.debouncedApplyUiContainers?.cancel();
+		this.debouncedApplyUiContainers = null;
+		this.debouncedFlushCanvasDirections?.cancel();
+		this.debouncedFlushCanvasDirections = null;
+
+		if (this.canvasObserver) this.canvasObserver.disconnect();
+		this.observedCanvasContainers.clear();
+		this.pendingCanvasContainers.clear();
+		this.canvasObserver = null;
+
+		if (this.overlayObserver) this.overlayObserver.disconnect();
+		this.observedOverlayRoots.clear();
+		this.overlayObserver = null;
+
+		// Pane items keep their detected direction until Obsidian re-renders them otherwise.
+		this.observedItemContainers.forEach(container => {
+			if (container.instanceOf(HTMLElement)) this.clearItemDirections(container);
+		});
+		if (this.itemObserver) this.itemObserver.disconnect();
+		this.observedItemContainers.clear();
+		this.itemObserver = null;
+
+		const styleProperties = Object.keys(this.getBodyStyleProperties());
+		this.getWorkspaceDocuments().forEach(doc => {
+			styleProperties.forEach(name => doc.body.style.removeProperty(name));
+			doc.body.removeClass(MIRROR_INTERFACE_CLASS, ...TYPOGRAPHY_CLASSES);
+		});
+
+		console.log("Intelligent RTL Plugin unloaded.");
+	}
+
+	addCommands() {
+        const commands = [
+            { id: 'set-note-direction-rtl', name: 'Set current note to RTL', dir: 'rtl' as DirectionSetting },
+            { id: 'set-note-direction-ltr', name: 'Set current note to LTR', dir: 'ltr' as DirectionSetting },
+            { id: 'set-note-direction-auto', name: 'Set current note to Auto-Detect direction', dir: 'auto' as DirectionSetting },
+            { id: 'clear-note-direction-override', name: 'Clear current note direction override', dir: null }
+        ];
+        commands.forEach(cmd => {
+            this.addCommand({ id: cmd.id, name: cmd.name, callback: async () => await this.setNoteDirection(cmd.dir) });
+        });
+        const canvasCommands = [
+            { id: 'set-canvas-card-direction-rtl', name: 'Set selected canvas cards to RTL', dir: 'rtl' as DirectionSetting },
+            { id: 'set-canvas-card-direction-ltr', name: 'Set selected canvas cards to LTR', dir: 'ltr' as DirectionSetting },
+            { id: 'set-canvas-card-direction-auto', name: 'Set selected canvas cards to Auto-Detect direction', dir: 'auto' as DirectionSetting },
+            { id: 'clear-canvas-card-direction', name: 'Clear direction override of selected canvas cards', dir: null }
+        ];
+        canvasCommands.forEach(cmd => {
+            this.addCommand({
+                id: cmd.id,
+                name: cmd.name,
+                checkCallback: (checking) => {
+                    const nodes = this.getSelectedCanvasNodes();
+                    if (nodes.length === 0) return false;
+                    if (!checking) this.setCanvasNodesDirection(nodes, cmd.dir);
+                    return true;
+                }
+            });
+        });
+        this.addCommand({
+            id: 'scan-note-directions',
+            name: 'Scan notes and tag their direction (vault or folder)',
+            callback: () => new FolderSuggestModal(this.app, async (folder) => await this.openDirectionScan(folder)).open()
+        });
+        this.addCommand({ id: 'undo-last-direction-batch', name: 'Undo last batch direction change', callback: async () => await this.undoLastDirectionBatch() });
+        this.addCommand({
+            id: 'toggle-mirror-interface',
+            name: 'Toggle mirrored interface',
+            callback: async () => {
+                this.settings.mirrorInterface = !this.settings.mirrorInterface;
+                await this.saveSettings();
+            }
+        });
+        (['LRM', 'RLM', 'ALM', 'LRI', 'RLI', 'FSI', 'PDI'] as BidiControlName[]).forEach(name => {
+            this.addCommand({
+                id: `insert-bidi-${name.toLowerCase()}`,
+                name: `Insert ${BIDI_CONTROL_TITLES[name].toLowerCase()} (${name})`,
+                editorCallback: (editor) => {
+                    const cursor = editor.getCursor();
+                    editor.replaceRange(getBidiControlChar(name), cursor);
+                    editor.setCursor({ line: cursor.line, ch: cursor.ch + 1 });
+                }
+            });
+        });
+        (['LRI', 'RLI', 'FSI'] as BidiControlName[]).forEach(name => {
+            this.addCommand({
+                id: `wrap-selection-${name.toLowerCase()}`,
+                name: `Wrap selection in ${BIDI_CONTROL_TITLES[name].toLowerCase()} (${name} ... PDI)`,
+                editorCallback: (editor) => editor.replaceSelection(getBidiControlChar(name) + editor.getSelection() + getBidiControlChar('PDI'))
+            });
+        });
+        this.addCommand({
+            id: 'toggle-bidi-controls-visibility',
+            name: 'Toggle visible bidi control characters',
+            callback: async () => {
+                this.settings.showBidiControls = !this.settings.showBidiControls;
+                await this.saveSettings();
+            }
+        });
+        this.addCommand({ id: 'clean-bidi-controls-note', name: 'Clean bidi control characters in current note', editorCallback: (editor) => this.cleanEditorBidiControls(editor) });
+        this.addCommand({ id: 'clean-bidi-controls-vault', name: 'Clean bidi control characters in all notes', callback: async () => await this.cleanVaultBidiControls() });
+        this.addCommand({ id: 'open-diagnostics', name: 'Open direction diagnostics', callback: async () => await this.openDiagnosticsView() });
+        this.addCommand({ id: 'benchmark-direction-detection', name: 'Benchmark direction detection on the current note', callback: () => this.benchmarkDetection() });
+        this.addCommand({
+            id: 'switch-settings-profile',
+            name: 'Switch settings profile',
+            callback: () => {
+                if (this.settings.profiles.length === 0) {
+                    new Notice("No settings profiles saved yet. Save one in the plugin settings.");
+                    return;
+                }
+                new ProfileSuggestModal(this.app, this.settings.profiles, async (profile) => await this.switchProfile(profile.name)).open();
+            }
+        });
+        this.addCommand({ id: 'migrate-note-directions-to-store', name: 'Move note directions from frontmatter to plugin data', callback: async () => await this.migrateNoteDirections('store') });
+        this.addCommand({ id: 'migrate-note-directions-to-frontmatter', name: 'Move note directions from plugin data to frontmatter', callback: async () => await this.migrateNoteDirections('frontmatter') });
+        this.addCommand({ id: 'import-note-directions', name: 'Import note directions from other RTL plugins', callback: async () => await this.openDirectionImport() });
+        this.addCommand({ id: 'import-settings-profile', name: 'Import settings profile from JSON', callback: () => new ProfileJsonModal(this.app, this).open() });
+        const sectionCommands = [
+            { id: 'insert-section-direction-rtl', name: 'Mark selection as an RTL section', dir: 'rtl' as DirectionSetting },
+            { id: 'insert-section-direction-ltr', name: 'Mark selection as an LTR section', dir: 'ltr' as DirectionSetting },
+            { id: 'insert-section-direction-auto', name: 'Mark selection as an Auto-Detect section', dir: 'auto' as DirectionSetting }
+        ];
+        sectionCommands.forEach(cmd => {
+            this.addCommand({ id: cmd.id, name: cmd.name, editorCallback: (editor) => this.insertSectionMarkers(editor, cmd.dir) });
+        });
+        this.registerProfileCommands();
+    }
+
+	/**
+	 * Adds a "Switch to settings profile" command for every profile, so each can get a hotkey,
+	 * and removes the commands of deleted profiles.
+	 */
+	registerProfileCommands() {
+		const commandIds = new Set<string>();
+		this.settings.profiles.forEach(profile => {
+			const id = `switch-profile-${profile.id}`;
+			commandIds.add(id);
+			this.addCommand({ id, name: `Switch to settings profile: ${profile.name}`, callback: async () => await this.switchProfile(profile.name) });
+		});
+		this.profileCommandIds.forEach(id => {
+			if (!commandIds.has(id)) this.removeCommand(id);
+		});
+		this.profileCommandIds = commandIds;
+	}
+
+	/**
+	 * Returns a copy of the current values of the settings captured by profiles.
+	 */
+	getProfileSettings(): ProfileSettings {
+		return structuredClone(Object.fromEntries(PROFILE_SETTING_KEYS.map(key => [key, this.settings[key]]))) as ProfileSettings;
+	}
+
+	/**
+	 * Saves the current settings as a profile, replacing any profile with the same name.
+	 */
+	async saveProfile(name: string) {
+		const profileName = name.trim();
+		if (!profileName) {
+			new Notice("Enter a name for the profile.");
+			return;
+		}
+		const index = this.settings.profiles.findIndex(p => p.name.toLowerCase() === profileName.toLowerCase());
+		const id = index >= 0 ? this.settings.profiles[index].id : this.createProfileId();
+		const profile: DirectionProfile = { id, name: profileName, settings: this.getProfileSettings() };
+		if (index >= 0) this.settings.profiles[index] = profile;
+		else this.settings.profiles.push(profile);
+		this.settings.activeProfile = profileName;
+		await this.saveSettings();
+		this.registerProfileCommands();
+		new Notice(`Settings saved as profile "${profileName}".`);
+	}
+
+	/**
+	 * Returns an id no saved profile uses. Ids do not depend on the name, so names in any script,
+	 * or differing only in punctuation, get commands of their own.
+	 */
+	createProfileId(): string {
+		let id: string;
+		do {
+			id = Math.random().toString(36).slice(2, 10);
+		} while (this.settings.profiles.some(profile => profile.id === id));
+		return id;
+	}
+
+	/**
+	 * Replaces the current settings with those of a profile and re-applies them everywhere.
+	 */
+	async switchProfile(name: string) {
+		const profile = this.settings.profiles.find(p => p.name === name);
+		if (!profile) {
+			new Notice(`Settings profile "${name}" not found.`);
+			return;
+		}
+		Object.assign(this.settings, structuredClone(profile.settings));
+		this.settings.containers = Object.assign({}, structuredClone(DEFAULT_SETTINGS.containers), this.settings.containers);
+		this.settings.activeProfile = profile.name;
+		await this.saveSettings(); // Re-runs applyAllUiSettings
+		new Notice(`Switched to settings profile "${profile.name}".`);
+	}
+
+	async deleteProfile(name: string) {
+		this.settings.profiles = this.settings.profiles.filter(p => p.name !== name);
+		if (this.settings.activeProfile === name) this.settings.activeProfile = '';
+		await this.saveSettings();
+		this.registerProfileCommands();
+	}
+
+	/**
+	 * Parses an exported profile. Only known settings are kept; missing ones get their defaults.
+	 * The profile has no id yet: it gets the id of the profile it replaces, or a new one.
+	 * @throws Error with a user-facing message when the JSON is not a profile, or a setting has a value of the wrong type.
+	 */
+	parseProfile(json: string): Omit<DirectionProfile, 'id'> {
+		let data: unknown;
+		try {
+			data = JSON.parse(json);
+		} catch (e) {
+			throw new Error("The text is not valid JSON.");
+		}
+		const candidate = data as Partial<DirectionProfile> | null;
+		if (!candidate || typeof candidate.name !== 'string' || !candidate.name.trim() || typeof candidate.settings !== 'object' || !candidate.settings) {
+			throw new Error("The JSON is not a settings profile: it needs a 'name' and a 'settings' object.");
+		}
+		const settings = structuredClone(Object.fromEntries(PROFILE_SETTING_KEYS.map(key => [key, DEFAULT_SETTINGS[key]]))) as ProfileSettings;
+		const imported = candidate.settings as Record<string, unknown>;
+		PROFILE_SETTING_KEYS.forEach(key => {
+			if (imported[key] === undefined) return;
+			// Settings added since the export keep their defaults, inside objects too.
+			const value = mergeWithDefaults(DEFAULT_SETTINGS[key], imported[key]);
+			if (!isValidProfileSetting(key, value)) throw new Error(`The value of '${key}' is not valid.`);
+			(settings as Record<string, unknown>)[key] = value;
+		});
+		return { name: candidate.name.trim(), settings };
+	}
+
+	/**
+	 * Adds (or replaces) a profile from exported JSON.
+	 * @returns Whether the profile was imported.
+	 */
+	async importProfile(json: string): Promise<boolean> {
+		try {
+			const parsed = this.parseProfile(json);
+			const index = this.settings.profiles.findIndex(p => p.name.toLowerCase() === parsed.name.toLowerCase());
+			const profile: DirectionProfile = { id: index >= 0 ? this.settings.profiles[index].id : this.createProfileId(), ...parsed };
+			if (index >= 0) this.settings.profiles[index] = profile;
+			else this.settings.profiles.push(profile);
+			await this.saveData(this.settings); // Importing does not switch, so nothing needs re-applying
+			this.registerProfileCommands();
+			new Notice(`Imported settings profile "${profile.name}".`);
+			return true;
+		} catch (e) {
+			new Notice(`Could not import profile: ${e instanceof Error ? e.message : e}`);
+			return false;
+		}
+	}
+
+	debounce<T extends (...args: any[]) => any>(func: T, delay: number): Debounced<Parameters<T>> {
+		let timeoutId: number | null = null;
+		const debounced = (...args: Parameters<T>) => {
+			if (timeoutId !== null) window.clearTimeout(timeoutId);
+			timeoutId = window.setTimeout(() => {
+				timeoutId = null;
+				func(...args);
+			}, delay);
+		};
+		return Object.assign(debounced, {
+			cancel: () => {
+				if (timeoutId !== null) window.clearTimeout(timeoutId);
+				timeoutId = null;
+			}
+		});
+	}
+
+	handleCanvasMutation(mutations: MutationRecord[], observer: MutationObserver) {
+		// Performance: Only records which canvases changed; the debounced flush applies them once per burst.
+		try {
+			for (const mutation of mutations) {
+				if (mutation.type !== 'childList') continue;
+				mutation.addedNodes.forEach(node => {
+					if (!node.instanceOf(HTMLElement) || !(node.classList.contains('canvas-node') || node.classList.contains('canvas-card'))) return;
+					const container = node.closest('.canvas-nodes');
+					if (container) this.pendingCanvasContainers.add(container);
+				});
+			}
+			if (this.pendingCanvasContainers.size > 0) this.debouncedFlushCanvasDirections?.();
+		} catch (error) {
+			console.error("Error in handleCanvasMutation:", error);
+		}
+	}
+
+	/**
+	 * Applies directions to the canvases that received new cards since the last flush.
+	 */
+	flushCanvasDirections() {
+		const containers = Array.from(this.pendingCanvasContainers);
+		this.pendingCanvasContainers.clear();
+		// Re-applying the whole canvas resolves each new card's own override or linked note.
+		this.app.workspace.getLeavesOfType('canvas').forEach(leaf => {
+			if (containers.some(container => leaf.view.containerEl.contains(container))) this.applyCanvasDirections(leaf);
+		});
+	}
+
+	/**
+	 * Returns the canvas object of a canvas leaf, or null when Obsidian's internals are not available.
+	 */
+	getCanvas(leaf: WorkspaceLeaf): CanvasLike | null {
+		const canvas = (leaf.view as unknown as { canvas?: CanvasLike }).canvas;
+		return canvas && canvas.nodes instanceof Map ? canvas : null;
+	}
+
+	/**
+	 * Resolves the direction of a canvas node: its own override, else (for file cards) the linked note's
+	 * frontmatter or rule direction, else the Canvas Card setting.
+	 */
+	resolveCanvasNodeDirection(node: CanvasNodeLike): DirectionSetting {
+		const data = node.getData();
+		if (data.direction && ['ltr', 'rtl', 'auto'].includes(data.direction)) return data.direction;
+		if (data.type === 'file' && data.file) {
+			const file = this.app.vault.getAbstractFileByPath(data.file);
+			if (file instanceof TFile && file.extension === 'md') {
+				const resolved = this.resolveNoteDirectionDetails(file);
+				if (resolved.source !== 'default') return resolved.direction;
+			}
+		}
+		return this.settings.canvasCard.direction;
+	}
+
+	/**
+	 * Applies directions to every card, group title and edge label of a canvas.
+	 */
+	applyCanvasDirections(leaf: WorkspaceLeaf) {
+		const canvasViewContainer = leaf.view.containerEl;
+		const canvas = this.getCanvas(leaf);
+		if (canvas) {
+			canvas.nodes.forEach(node => this.applyCanvasNodeDirection(node));
+		} else {
+			// Canvas internals unavailable: every card gets the Canvas Card setting.
+			canvasViewContainer.querySelectorAll('.canvas-card').forEach((card, index) => {
+				const cardContent = card.querySelector('.canvas-card-content') || card.querySelector('.canvas-card-text') || card;
+				if (cardContent) this.applyDirectionToElement(cardContent as HTMLElement, this.settings.canvasCard.direction, `canvas-card-${index}`, true);
+			});
+		}
+		// Edge labels have no stored override; they follow the Canvas Card setting (detected per label for 'auto').
+		canvasViewContainer.querySelectorAll<HTMLElement>('.canvas-path-label').forEach(label => {
+			this.applyDirectionToElement(label, this.settings.canvasCard.direction, undefined, true);
+		});
+	}
+
+	applyCanvasNodeDirection(node: CanvasNodeLike) {
+		try {
+			const direction = this.resolveCanvasNodeDirection(node);
+			if (node.getData().type === 'group') {
+				const label = node.labelEl ?? node.nodeEl.querySelector('.canvas-group-label') as HTMLElement | null;
+				if (label) this.applyDirectionToElement(label, direction, `canvas-group-${node.id}`, true);
+				return;
+			}
+			const content = node.contentEl ?? node.nodeEl.querySelector('.canvas-node-content') as HTMLElement | null;
+			if (content) this.applyDirectionToElement(content, direction, `canvas-node-${node.id}`, true);
+		} catch (e) {
+			console.error(`Error applying direction to canvas node ${node.id}:`, e);
+		}
+	}
+
+	/**
+	 * Stores a direction override (or removes it, for null) in the data of canvas nodes, so it is saved in the .canvas file.
+	 */
+	setCanvasNodesDirection(nodes: CanvasNodeLike[], direction: DirectionSetting | null) {
+		const canvases = new Set<CanvasLike>();
+		nodes.forEach(node => {
+			const data = node.getData();
+			if (direction === null) delete data.direction;
+			else data.direction = direction;
+			node.setData(data);
+			this.applyCanvasNodeDirection(node);
+			canvases.add(node.canvas);
+		});
+		canvases.forEach(canvas => canvas.requestSave());
+	}
+
+	/**
+	 * Returns the selected nodes of the active canvas.
+	 */
+	getSelectedCanvasNodes(): CanvasNodeLike[] {
+		const view = this.app.workspace.getActiveViewOfType(ItemView);
+		if (!view || view.getViewType() !== 'canvas') return [];
+		const canvas = this.getCanvas(view.leaf);
+		return canvas ? Array.from(canvas.selection).filter(node => typeof node.getData === 'function') : [];
+	}
+
+	addCanvasNodeMenuItems(menu: Menu, node: CanvasNodeLike) {
+		const current = node.getData().direction ?? null;
+		const options: { title: string; dir: DirectionSetting | null }[] = [
+			{ title: 'Direction: LTR', dir: 'ltr' },
+			{ title: 'Direction: RTL', dir: 'rtl' },
+			{ title: 'Direction: Auto-Detect', dir: 'auto' },
+			{ title: 'Direction: Inherit', dir: null }
+		];
+		menu.addSeparator();
+		options.forEach(option => {
+			menu.addItem(item => item
+				.setTitle(option.title)
+				.setIcon('pilcrow')
+				.setChecked(current === option.dir)
+				.onClick(() => {
+					// Applies to the whole selection when the clicked card is part of it.
+					const selected = this.getSelectedCanvasNodes();
+					this.setCanvasNodesDirection(selected.includes(node) ? selected : [node], option.dir);
+				}));
+		});
+	}
+
+	/**
+	 * Re-applies file cards linking to `file`, whose direction follows the linked note.
+	 */
+	refreshCanvasFileCards(file: TFile) {
+		this.app.workspace.getLeavesOfType('canvas').forEach(leaf => {
+			this.getCanvas(leaf)?.nodes.forEach(node => {
+				if (node.getData().file === file.path) this.applyCanvasNodeDirection(node);
+			});
+		});
+	}
+
+	async handleFileOpen(file: import('obsidian').TFile | null) {
+		// The leaf that opened the file is re-resolved along with any other leaf whose note changed.
+		this.refreshAllLeafDirections();
+		this.updateStatusBarIndicator();
+	}
+
+	/**
+	 * Re-resolves and stores the direction of the note shown in a Markdown leaf.
+	 * @returns The new state and whether it differs from the stored one, or null if the leaf shows no note.
+	 */
+	updateLeafDirectionState(leaf: WorkspaceLeaf): { state: LeafDirectionState; changed: boolean } | null {
+		if (!(leaf.view instanceof MarkdownView) || !leaf.view.file) {
+			this.leafDirections.delete(leaf);
+			return null;
+		}
+		const file = leaf.view.file;
+		const state: LeafDirectionState = { path: file.path, resolved: this.resolveNoteDirectionDetails(file) };
+		this.trackResolvedDirection(file, state.resolved);
+		const previous = this.leafDirections.get(leaf);
+		const changed = !previous || previous.path !== state.path ||
+			previous.resolved.direction !== state.resolved.direction || previous.resolved.source !== state.resolved.source;
+		this.leafDirections.set(leaf, state);
+		return { state, changed };
+	}
+
+	/**
+	 * Re-resolves the direction of a leaf's note and applies it when it changed (or when forced).
+	 */
+	refreshLeafDirection(leaf: WorkspaceLeaf, force = false) {
+		try {
+			const update = this.updateLeafDirectionState(leaf);
+			if (update && (update.changed || force)) this.applyLeafDirection(leaf);
+		} catch (e) {
+			console.error("Error refreshing leaf direction:", e);
+		}
+	}
+
+	/**
+	 * Re-resolves every open Markdown leaf, in all windows.
+	 */
+	refreshAllLeafDirections(force = false) {
+		this.app.workspace.iterateAllLeaves(leaf => this.refreshLeafDirection(leaf, force));
+	}
+
+	/**
+	 * Re-resolves the leaves showing `file`, e.g. after its frontmatter changed.
+	 */
+	refreshLeafDirectionsForFile(file: TFile) {
+		this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+			if ((leaf.view as MarkdownView).file === file) this.refreshLeafDirection(leaf);
+		});
+		this.updateStatusBarIndicator();
+	}
+
+	/**
+	 * Applies the stored direction state of a leaf to its editor and Reading view.
+	 */
+	applyLeafDirection(leaf: WorkspaceLeaf) {
+		const view = leaf.view as MarkdownView;
+		const state = this.leafDirections.get(leaf);
+		if (!state) return;
+		const direction = state.resolved.direction;
+		const editorContentElement = view.containerEl.querySelector('.cm-content') as HTMLElement | null;
+		// For 'auto', the line direction extension detects the document when it handles the refresh below.
+		if (editorContentElement) this.applyDirectionToElement(editorContentElement, direction, `editor-${state.path}`);
+		this.refreshEditorLineDirections(leaf);
+		if (view.getMode() === 'preview') view.previewMode.rerender(true);
+	}
+
+	/**
+	 * Returns the resolved direction of the active note, preferring the state of the leaf showing it.
+	 * @returns The resolved direction, or null when no Markdown note is active.
+	 */
+	getActiveNoteDirection(): ResolvedDirection | null {
+		const activeFile = this.app.workspace.getActiveFile();
+		if (!activeFile || activeFile.extension !== 'md') return null;
+		const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+		const state = activeView ? this.leafDirections.get(activeView.leaf) : undefined;
+		return state && state.path === activeFile.path ? state.resolved : this.resolveNoteDirectionDetails(activeFile);
+	}
+
+	/**
+	 * Reads the per-note direction override of a Markdown file from its frontmatter.
+	 * @returns The override, or null when the note has none (or is not Markdown).
+	 */
+	getNoteDirectionOverride(file: TFile | null): DirectionSetting | null {
+		if (!file || file.extension !== 'md') return null;
+		const storedDirection = this.settings.noteDirections[file.path] ?? null;
+		// The configured storage is read first; the other one still applies to notes it has not been migrated from.
+		if (storedDirection && this.settings.directionStorage === 'store') return storedDirection;
+		return this.getFrontmatterDirection(file) ?? storedDirection;
+	}
+
+	/**
+	 * Returns the valid `direction` frontmatter value of a note, or of an alias key (`dir`, `text-direction`, `rtl: true`...), or null.
+	 */
+	getFrontmatterDirection(file: TFile): DirectionSetting | null {
+		try {
+			return parseFrontmatterDirection(this.app.metadataCache.getFileCache(file)?.frontmatter)?.direction ?? null;
+		} catch (e) {
+			console.error("Error reading frontmatter:", e);
+			return null;
+		}
+	}
+
+	/**
+	 * Resolves the direction setting of a note: its own override, else the first matching rule, else the editor default.
+	 */
+	resolveNoteDirection(file: TFile | null): DirectionSetting {
+		return this.resolveNoteDirectionDetails(file).direction;
+	}
+
+	/**
+	 * Like resolveNoteDirection, but also reports which step of the chain decided.
+	 */
+	resolveNoteDirectionDetails(file: TFile | null): ResolvedDirection {
+		const override = this.getNoteDirectionOverride(file);
+		if (override) return { direction: override, source: 'frontmatter' };
+		return this.resolveFallbackDirection(file);
+	}
+
+	/**
+	 * Resolves the direction a note gets without a frontmatter override: the first matching rule, else the editor default.
+	 */
+	resolveFallbackDirection(file: TFile | null): ResolvedDirection {
+		const rule = this.matchDirectionRule(file);
+		if (rule) return { direction: rule.direction, source: 'rule', rule };
+		return { direction: this.settings.editor.direction, source: 'default' };
+	}
+
+	/**
+	 * Returns the first enabled direction rule that matches a Markdown file, or null.
+	 */
+	matchDirectionRule(file: TFile | null): DirectionRule | null {
+		if (!file || file.extension !== 'md') return null;
+		for (const rule of this.settings.directionRules) {
+			if (!rule.enabled || getRulePatternError(rule)) continue; // Invalid patterns are shown in the settings
+			try {
+				if (this.doesRuleMatch(rule, file)) return rule;
+			} catch (e) {
+				console.error(`Error evaluating ${rule.matcher} rule "${rule.pattern}":`, e);
+			}
+		}
+		return null;
+	}
+
+	doesRuleMatch(rule: DirectionRule, file: TFile): boolean {
+		const pattern = rule.pattern.trim();
+		switch (rule.matcher) {
+			case 'folder': {
+				if (!pattern) return false;
+				if (!/[*?]/.test(pattern)) {
+					const folder = pattern.replace(/^\/+|\/+$/g, '');
+					return folder === '' || file.path.startsWith(`${folder}/`);
+				}
+				return globToRegExp(pattern).test(file.path);
+			}
+			case 'tag': {
+				if (!pattern) return false;
+				const cache = this.app.metadataCache.getFileCache(file);
+				const tag = `#${pattern.replace(/^#/, '')}`.toLowerCase();
+				const noteTags = cache ? getAllTags(cache) ?? [] : [];
+				return noteTags.some(noteTag => {
+					const normalized = noteTag.toLowerCase();
+					return normalized === tag || normalized.startsWith(`${tag}/`);
+				});
+			}
+			case 'filename':
+				return !!pattern && new RegExp(pattern, 'i').test(file.basename);
+			case 'language': {
+				const fm = this.app.metadataCache.getFileCache(file)?.frontmatter;
+				const lang = fm?.lang ?? fm?.language;
+				if (typeof lang !== 'string' || !lang.trim()) return false;
+				const primaryCode = lang.trim().toLowerCase().split(/[-_]/)[0];
+				const codes = pattern ? pattern.toLowerCase().split(',').map(code => code.trim()).filter(Boolean) : RTL_LANGUAGE_CODES;
+				return codes.includes(primaryCode);
+			}
+		}
+		return false;
+	}
+
+	handleMarkdownPostProcess(el: HTMLElement, ctx: MarkdownPostProcessorContext) {
+		// Runs for every rendered section of Reading view, embedded notes and hover previews.
+		// ctx.sourcePath is the path of the note being rendered, so embeds resolve their own direction.
+		try {
+			const file = this.app.vault.getAbstractFileByPath(ctx.sourcePath);
+			// Canvas text cards are rendered with the .canvas file as source; their direction is the card's own (see applyCanvasNodeDirection).
+			if (file instanceof TFile && file.extension !== 'md') {
+				this.isolateRenderedInlineSpans(el);
+				return;
+			}
+			// A section marker around the rendered section takes priority over the note's direction.
+			const direction = this.getRenderedSectionDirection(el, ctx) ?? this.resolveNoteDirection(file instanceof TFile ? file : null);
+			this.setDirectionAttributes(el, direction, true);
+			el.querySelectorAll<HTMLElement>('h1, h2, h3, h4, h5, h6').forEach(heading => this.stripHeadingDirectionAttribute(heading));
+			if (direction === 'auto' && this.settings.enableAdvancedTextDetection) {
+				el.querySelectorAll<HTMLElement>(READING_VIEW_BLOCK_SELECTOR).forEach(block => {
+					const detection = this.detect(getOwnBlockText(block));
+					if (detection.direction === 'neutral') return; // Neutral blocks inherit from their parent
+					block.setAttribute('dir', detection.direction);
+					block.dataset.effectiveDirection = detection.direction;
+					this.setScriptAttribute(block, detection.direction === 'rtl' ? detection : null);
+				});
+			}
+			el.querySelectorAll('table').forEach(table => this.applyTableDirection(table, direction));
+			this.isolateRenderedInlineSpans(el);
+		} catch (e) {
+			console.error("Error in handleMarkdownPostProcess:", e);
+		}
+	}
+
+	/**
+	 * Returns the direction a section marker or heading attribute sets for a rendered section of Reading view,
+	 * or null when the section is not inside one (or its source is unknown, e.g. in some embeds).
+	 */
+	getRenderedSectionDirection(el: HTMLElement, ctx: MarkdownPostProcessorContext): DirectionSetting | null {
+		const info = ctx.getSectionInfo(el);
+		if (!info) return null;
+		if (this.renderedSectionStates?.source !== info.text) {
+			this.renderedSectionStates = { source: info.text, states: scanSectionDirections(info.text.split('\n')) };
+		}
+		const { states } = this.renderedSectionStates;
+		// Markers render as nothing, so the section is decided by its first line that is not one.
+		for (let i = info.lineStart; i <= info.lineEnd; i++) {
+			const state = states[i];
+			if (!state || state.isMarker) continue;
+			return state.scopes.length ? state.scopes[state.scopes.length - 1].direction : null;
+		}
+		return null;
+	}
+
+	/**
+	 * Hides a trailing `{dir=rtl}` attribute from the text of a rendered heading.
+	 */
+	stripHeadingDirectionAttribute(heading: HTMLElement) {
+		const walker = heading.doc.createTreeWalker(heading, NodeFilter.SHOW_TEXT);
+		let lastText: Text | null = null;
+		while (walker.nextNode()) {
+			const textNode = walker.currentNode as Text;
+			if (textNode.data.trim()) lastText = textNode;
+		}
+		if (lastText && HEADING_DIRECTION_ATTRIBUTE_REGEX.test(lastText.data)) {
+			lastText.data = lastText.data.replace(HEADING_DIRECTION_ATTRIBUTE_REGEX, '');
+		}
+	}
+
+	/**
+	 * Lays out a rendered table in the direction of its note, so columns run right-to-left in RTL notes.
+	 * Every cell also gets its own detected direction (cells without letters follow the table), and the
+	 * `:---`/`---:` alignment markers become logical: start and end of the cell instead of left and right.
+	 * @param direction Direction of the note; for 'auto' the table is detected from its header row.
+	 */
+	applyTableDirection(table: HTMLTableElement, direction: DirectionSetting) {
+		const detectionEnabled = this.settings.enableAdvancedTextDetection;
+		const fallbackDir = this.settings.globalDefaultDirection === 'rtl' ? 'rtl' : 'ltr';
+		let tableDir: 'rtl' | 'ltr' = direction === 'auto' ? fallbackDir : direction;
+		if (direction === 'auto' && detectionEnabled) {
+			tableDir = this.detectTextDirection(table.tHead?.textContent || table.textContent || "") ?? fallbackDir;
+		}
+		// Only changed attributes are written: the editor re-applies on every geometry change.
+		if (table.getAttribute('dir') !== tableDir) table.setAttribute('dir', tableDir);
+		if (table.dataset.effectiveDirection !== tableDir) table.dataset.effectiveDirection = tableDir;
+
+		table.querySelectorAll<HTMLTableCellElement>('th, td').forEach(cell => {
+			const align = cell.style.textAlign || cell.getAttribute('align');
+			if (align === 'left' || align === 'right') {
+				cell.style.textAlign = align === 'left' ? 'start' : 'end';
+				cell.removeAttribute('align');
+			}
+			if (detectionEnabled) {
+				const cellDir = this.detectTextDirection(cell.textContent || "") ?? tableDir;
+				if (cell.getAttribute('dir') !== cellDir) cell.setAttribute('dir', cellDir);
+			} else if (cell.hasAttribute('dir')) {
+				cell.removeAttribute('dir');
+			}
+		});
+	}
+
+	/**
+	 * Applies applyTableDirection to the table widgets an editor currently shows.
+	 */
+	applyEditorTableDirections(view: EditorView) {
+		try {
+			const direction = this.getEditorDirection(view);
+			view.contentDOM.querySelectorAll<HTMLTableElement>('.cm-table-widget table').forEach(table => this.applyTableDirection(table, direction));
+		} catch (e) {
+			console.error("Error applying table directions:", e);
+		}
+	}
+
+	/**
+	 * Re-renders Reading view of every open note (or only those showing `file`), so the post-processor runs again.
+	 */
+	rerenderReadingViews(file?: TFile) {
+		this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+			const view = leaf.view as MarkdownView;
+			if (file && view.file !== file) return;
+			try {
+				if (view.getMode() === 'preview') view.previewMode.rerender(true);
+			} catch (e) {
+				console.error("Error re-rendering reading view:", e);
+			}
+		});
+	}
+
+	/**
+	 * Writes (or removes, for null) the `direction` frontmatter key of a note. Alias keys are left alone:
+	 * they may belong to other tools (Pandoc and Quarto read `dir`), and `direction` is read first anyway.
+	 * @param notifyOnError Whether to show a Notice on failure; batch operations report failures themselves.
+	 * @returns Whether the frontmatter was written.
+	 */
+	async updateNoteFrontmatterDirection(file: import('obsidian').TFile, direction: DirectionSetting | null, notifyOnError = true): Promise<boolean> {
+		try {
+			await this.app.fileManager.processFrontMatter(file, (fm) => {
+				if (direction === null) delete fm.direction;
+				else fm.direction = direction;
+			});
+			return true;
+		} catch (e) {
+			console.error("Error updating frontmatter:", e);
+			if (notifyOnError) new Notice("Error updating note direction in frontmatter.");
+			return false;
+		}
+	}
+
+	/**
+	 * Removes the alias direction keys with a valid value from a note's frontmatter, e.g. after importing them.
+	 * @returns The removed keys and their values, to journal for undo, or null when the frontmatter could not be written.
+	 */
+	async removeFrontmatterDirectionAliases(file: TFile): Promise<Record<string, unknown> | null> {
+		const removed: Record<string, unknown> = {};
+		try {
+			await this.app.fileManager.processFrontMatter(file, (fm) => {
+				FRONTMATTER_DIRECTION_ALIASES.forEach(key => {
+					if (!parseFrontmatterDirection({ [key]: fm[key] })) return;
+					removed[key] = fm[key];
+					delete fm[key];
+				});
+			});
+			return removed;
+		} catch (e) {
+			console.error("Error removing alias direction keys:", e);
+			return null;
+		}
+	}
+
+	/**
+	 * Runs the detector over every Markdown note in `folder` (recursively) and opens the review modal.
+	 */
+	async openDirectionScan(folder: TFolder) {
+		const files = this.app.vault.getMarkdownFiles().filter(file => folder.isRoot() || file.path.startsWith(`${folder.path}/`));
+		if (files.length === 0) {
+			new Notice("No Markdown notes found in this folder.");
+			return;
+		}
+		const notice = new Notice(`Scanning ${files.length} notes...`, 0);
+		const entries: DirectionScanEntry[] = [];
+		try {
+			for (const file of files) {
+				try {
+					entries.push(await this.scanNoteDirection(file));
+				} catch (e) {
+					console.error(`Error scanning ${file.path}:`, e);
+				}
+			}
+		} finally {
+			notice.hide();
+		}
+		entries.sort((a, b) => a.file.path.localeCompare(b.file.path));
+		const label = folder.isRoot() ? 'Entire vault' : folder.path;
+		new DirectionScanModal(this.app, this, label, entries).open();
+	}
+
+	/**
+	 * Writes (or removes, for null) the direction override of a note where the storage mode says:
+	 * its frontmatter, the plugin data store, or both. Clearing in store mode also removes a frontmatter
+	 * value left over from before, since it would otherwise still apply.
+	 * @returns Whether every write succeeded.
+	 */
+	async writeNoteDirection(file: TFile, direction: DirectionSetting | null, notifyOnError = true): Promise<boolean> {
+		const mode = this.settings.directionStorage;
+		let written = true;
+		if (mode !== 'store' || (direction === null && this.app.metadataCache.getFileCache(file)?.frontmatter?.direction !== undefined)) {
+			written = await this.updateNoteFrontmatterDirection(file, direction, notifyOnError);
+		}
+		const storedBefore = this.settings.noteDirections[file.path];
+		if (mode !== 'frontmatter' || storedBefore !== undefined) {
+			if (direction === null || mode === 'frontmatter') delete this.settings.noteDirections[file.path];
+			else this.settings.noteDirections[file.path] = direction;
+			if (this.settings.noteDirections[file.path] !== storedBefore) {
+				try {
+					await this.saveData(this.settings);
+				} catch (e) {
+					// The store keeps what was saved last.
+					if (storedBefore === undefined) delete this.settings.noteDirections[file.path];
+					else this.settings.noteDirections[file.path] = storedBefore;
+					console.error("Error saving note direction:", e);
+					if (notifyOnError) new Notice("Could not save the note direction in the plugin data (see console).");
+					return false;
+				}
+				// No metadata change follows a store-only write, so open panes are refreshed here.
+				this.refreshLeafDirectionsForFile(file);
+				this.refreshCanvasFileCards(file);
+			}
+		}
+		return written;
+	}
+
+	/**
+	 * Moves every per-note override from frontmatter to the plugin data store, or back.
+	 * @param target Where the overrides end up.
+	 */
+	async migrateNoteDirections(target: 'frontmatter' | 'store') {
+		let moved = 0;
+		let failed = 0;
+		if (target === 'store') {
+			// The store is written and saved before any frontmatter is touched, so an interrupted run loses nothing.
+			// Alias keys are left where they are: only the plugin's own `direction` key is moved.
+			const moving = this.app.vault.getMarkdownFiles()
+				.map(file => ({ file, parsed: parseFrontmatterDirection(this.app.metadataCache.getFileCache(file)?.frontmatter) }))
+				.filter(({ parsed }) => parsed?.key === 'direction');
+			moving.forEach(({ file, parsed }) => this.settings.noteDirections[file.path] = parsed!.direction);
+			try {
+				await this.saveData(this.settings);
+			} catch (e) {
+				console.error("Error saving note directions:", e);
+				new Notice("Could not save the plugin data; no frontmatter was changed.");
+				return;
+			}
+			for (const { file } of moving) {
+				if (await this.updateNoteFrontmatterDirection(file, null, false)) moved++;
+				else failed++; // Stays in both places, with the same value
+			}
+		} else {
+			for (const [path, direction] of Object.entries(this.settings.noteDirections)) {
+				const file = this.app.vault.getAbstractFileByPath(path);
+				if (!(file instanceof TFile)) {
+					delete this.settings.noteDirections[path]; // The note no longer exists
+					continue;
+				}
+				if (await this.updateNoteFrontmatterDirection(file, direction, false)) {
+					delete this.settings.noteDirections[path];
+					moved++;
+				} else {
+					failed++;
+				}
+			}
+		}
+		await this.saveData(this.settings);
+		this.refreshAllLeafDirections();
+		new Notice(`Moved ${moved} note directions to ${target === 'store' ? 'the plugin data' : 'frontmatter'}${failed ? `, ${failed} failed (see console)` : ''}.`);
+	}
+
+	/**
+	 * Collects the per-note directions of other RTL plugins and of alias frontmatter keys.
+	 * Any object in another plugin's `data.json` that maps note paths to 'ltr', 'rtl' or 'auto'
+	 * (such as `fileDirections`) counts as a source. Notes that already have a `direction` key
+	 * or a stored override keep it and are left out.
+	 * @returns The notes to import, what each source held, the number of notes left out and of disagreeing sources.
+	 */
+	async collectImportedDirections(): Promise<{ entries: DirectionImportEntry[]; sources: DirectionImportSource[]; skipped: number; conflicts: number }> {
+		const found = new Map<string, { direction: DirectionSetting; sources: string[] }>();
+		const sources: DirectionImportSource[] = [];
+		let skipped = 0;
+		let conflicts = 0;
+		const hasOwnOverride = (file: TFile) => this.settings.noteDirections[file.path] !== undefined ||
+			parseFrontmatterDirection(this.app.metadataCache.getFileCache(file)?.frontmatter)?.key === 'direction';
+		const add = (file: TFile, direction: DirectionSetting, source: string) => {
+			const existing = found.get(file.path);
+			if (existing) {
+				// Earlier sources win: the note's own frontmatter, then plugins in folder order.
+				if (existing.direction === direction) existing.sources.push(source);
+				else {
+					conflicts++;
+					console.warn(`${file.path}: ${source} says ${direction}, kept ${existing.direction} from ${existing.sources[0]}.`);
+				}
+			} else {
+				found.set(file.path, { direction, sources: [source] });
+			}
+		};
+
+		const aliasSources = new Map<string, DirectionImportSource>();
+		for (const file of this.app.vault.getMarkdownFiles()) {
+			const parsed = parseFrontmatterDirection(this.app.metadataCache.getFileCache(file)?.frontmatter);
+			if (!parsed || parsed.key === 'direction') continue;
+			const name = `Frontmatter (${parsed.key})`;
+			if (!aliasSources.has(name)) aliasSources.set(name, { name, found: 0, missing: 0 });
+			aliasSources.get(name)!.found++;
+			add(file, parsed.direction, name);
+		}
+		sources.push(...aliasSources.values());
+
+		const adapter = this.app.vault.adapter;
+		const pluginsFolder = `${this.app.vault.configDir}/plugins`;
+		const folders = (await adapter.exists(pluginsFolder)) ? (await adapter.list(pluginsFolder)).folders : [];
+		for (const folder of folders) {
+			const pluginId = folder.split('/').pop() ?? folder;
+			if (pluginId === this.manifest.id || !(await adapter.exists(`${folder}/data.json`))) continue;
+			let data: unknown;
+			try {
+				data = JSON.parse(await adapter.read(`${folder}/data.json`));
+			} catch (e) {
+				console.error(`Error reading the data of plugin ${pluginId}:`, e);
+				continue;
+			}
+			if (!data || typeof data !== 'object') continue;
+			for (const [key, value] of Object.entries(data as Record<string, unknown>)) {
+				if (!value || typeof value !== 'object' || Array.isArray(value)) continue;
+				const map = Object.entries(value as Record<string, unknown>);
+				if (map.length === 0 || !map.every(([, direction]) => typeof direction === 'string' && ['ltr', 'rtl', 'auto'].includes(direction.toLowerCase()))) continue;
+				const source: DirectionImportSource = { name: `${pluginId} (${key})`, found: 0, missing: 0 };
+				sources.push(source);
+				for (const [path, direction] of map as [string, string][]) {
+					const file = this.app.vault.getAbstractFileByPath(path);
+					if (!(file instanceof TFile) || file.extension !== 'md') {
+						source.missing++;
+						continue;
+					}
+					source.found++;
+					add(file, direction.toLowerCase() as DirectionSetting, source.name);
+				}
+			}
+		}
+
+		const entries: DirectionImportEntry[] = [];
+		found.forEach(({ direction, sources: entrySources }, path) => {
+			const file = this.app.vault.getAbstractFileByPath(path) as TFile;
+			if (hasOwnOverride(file)) {
+				skipped++;
+				return;
+			}
+			entries.push({ file, direction, sources: entrySources, accepted: true });
+		});
+		entries.sort((a, b) => a.file.path.localeCompare(b.file.path));
+		return { entries, sources, skipped, conflicts };
+	}
+
+	/**
+	 * Looks for directions to import from other RTL plugins and alias frontmatter keys, and opens the summary modal.
+	 */
+	async openDirectionImport() {
+		const notice = new Notice("Looking for note directions in other plugins...", 0);
+		let result: Awaited<ReturnType<IntelligentRtlPlugin['collectImportedDirections']>>;
+		try {
+			result = await this.collectImportedDirections();
+		} catch (e) {
+			console.error("Error collecting note directions to import:", e);
+			new Notice("Could not read the data of other plugins (see console).");
+			return;
+		} finally {
+			notice.hide();
+		}
+		if (result.sources.length === 0) {
+			new Notice("No note directions found in other plugins or alias frontmatter keys.");
+			return;
+		}
+		new DirectionImportModal(this.app, this, result).open();
+	}
+
+	/**
+	 * Moves the stored overrides of a renamed note, or of every note inside a renamed folder.
+	 */
+	async renameStoredNoteDirections(file: TAbstractFile, oldPath: string) {
+		const directions = this.settings.noteDirections;
+		let changed = false;
+		for (const path of Object.keys(directions)) {
+			const newPath = path === oldPath ? file.path : path.startsWith(`${oldPath}/`) ? file.path + path.slice(oldPath.length) : null;
+			if (newPath === null) continue;
+			directions[newPath] = directions[path];
+			delete directions[path];
+			changed = true;
+		}
+		if (changed) await this.saveNoteDirections();
+	}
+
+	/**
+	 * Removes the stored overrides of a deleted note, or of every note inside a deleted folder.
+	 */
+	async deleteStoredNoteDirections(file: TAbstractFile) {
+		const directions = this.settings.noteDirections;
+		const paths = Object.keys(directions).filter(path => path === file.path || path.startsWith(`${file.path}/`));
+		paths.forEach(path => delete directions[path]);
+		if (paths.length > 0) await this.saveNoteDirections();
+	}
+
+	/**
+	 * Saves the plugin data after the stored overrides followed a vault change. Called from vault events,
+	 * so a failure is reported here instead of being left unhandled.
+	 */
+	async saveNoteDirections() {
+		try {
+			await this.saveData(this.settings);
+		} catch (e) {
+			console.error("Error saving note directions:", e);
+			new Notice("Could not save the stored note directions (see console).");
+		}
+	}
+
+	/**
+	 * Detects the direction of a note the way its editor does (see getNoteDirectionText) and proposes a frontmatter value.
+	 */
+	async scanNoteDirection(file: TFile): Promise<DirectionScanEntry> {
+		const content = await this.app.vault.cachedRead(file);
+		const cache = this.app.metadataCache.getFileCache(file);
+		const detection = this.detect(getNoteDirectionText(content.split('\n')));
+		const rawDirection = cache?.frontmatter?.direction;
+		const current = this.getNoteDirectionOverride(file) ?? (rawDirection === undefined || rawDirection === null ? null : String(rawDirection));
+		const proposed = detection.direction === 'neutral' ? (current as DirectionSetting | null) : detection.direction;
+		return { file, detection, current, proposed, accepted: detection.direction !== 'neutral' && proposed !== current };
+	}
+
+	/**
+	 * Writes a batch of frontmatter direction changes and journals it for undo.
+	 * @param removeAliases Whether alias direction keys are removed from the notes once written (importing);
+	 * the removed keys are journaled and restored by undo.
+	 */
+	async applyDirectionBatch(label: string, changes: { file: TFile; next: DirectionSetting | null }[], removeAliases = false) {
+		const batch: DirectionBatch = { timestamp: Date.now(), label, changes: [] };
+		let failed = 0;
+		for (const change of changes) {
+			this.trackResolvedDirection(change.file, this.resolveNoteDirectionDetails(change.file));
+			// Exactly what the note had, so undo does not turn an alias key or a stored override into a `direction` key.
+			const previous = this.app.metadataCache.getFileCache(change.file)?.frontmatter?.direction ?? null;
+			const previousStored = this.settings.noteDirections[change.file.path] ?? null;
+			if (await this.writeNoteDirection(change.file, change.next, false)) {
+				const journaled: DirectionBatch['changes'][number] = { path: change.file.path, previous, previousStored, next: change.next };
+				if (removeAliases) {
+					const aliases = await this.removeFrontmatterDirectionAliases(change.file);
+					if (aliases === null) failed++; // The direction is written; only the alias keys stay
+					else if (Object.keys(aliases).length > 0) journaled.aliases = aliases;
+				}
+				batch.changes.push(journaled);
+			} else {
+				failed++;
+			}
+		}
+		if (batch.changes.length > 0) {
+			this.settings.directionJournal.push(batch);
+			this.settings.directionJournal = this.settings.directionJournal.slice(-MAX_JOURNAL_BATCHES);
+			await this.saveData(this.settings);
+		}
+		new Notice(`Direction written to ${batch.changes.length} notes${failed ? `, ${failed} failed (see console)` : ''}. Use "Undo last batch direction change" to revert.`);
+	}
+
+	/**
+	 * Restores the frontmatter values recorded by the most recent journaled batch.
+	 * Notes that could not be restored stay journaled, so the undo can be run again for them.
+	 */
+	async undoLastDirectionBatch() {
+		const batch = this.settings.directionJournal[this.settings.directionJournal.length - 1];
+		if (!batch) {
+			new Notice("No batch direction change to undo.");
+			return;
+		}
+		let restored = 0;
+		let missing = 0;
+		const failed: DirectionBatch['changes'] = [];
+		for (const change of batch.changes) {
+			const file = this.app.vault.getAbstractFileByPath(change.path);
+			if (!(file instanceof TFile)) {
+				missing++;
+				continue;
+			}
+			this.trackResolvedDirection(file, this.resolveNoteDirectionDetails(file));
+			if (!await this.restoreJournaledDirection(file, change)) {
+				failed.push(change);
+				continue;
+			}
+			if (change.aliases) {
+				try {
+					await this.app.fileManager.processFrontMatter(file, (fm) => Object.assign(fm, change.aliases));
+				} catch (e) {
+					console.error("Error restoring alias direction keys:", e);
+					failed.push(change);
+					continue;
+				}
+			}
+			restored++;
+		}
+		if (failed.length > 0) batch.changes = failed;
+		else this.settings.directionJournal.remove(batch);
+		await this.saveData(this.settings);
+		new Notice(`Undid batch "${batch.label}": restored ${restored} notes${missing ? `, ${missing} no longer exist` : ''}${failed.length ? `, ${failed.length} failed and stay journaled (see console)` : ''}.`);
+	}
+
+	/**
+	 * Puts back the `direction` frontmatter key and the stored override of a note as a batch journaled them.
+	 * The caller saves the plugin data.
+	 * @returns Whether the frontmatter could be written.
+	 */
+	async restoreJournaledDirection(file: TFile, change: DirectionBatch['changes'][number]): Promise<boolean> {
+		const current = this.app.metadataCache.getFileCache(file)?.frontmatter?.direction ?? null;
+		if (current !== change.previous) {
+			try {
+				await this.app.fileManager.processFrontMatter(file, (fm) => {
+					if (change.previous === null) delete fm.direction;
+					else fm.direction = change.previous;
+				});
+			} catch (e) {
+				console.error("Error restoring frontmatter direction:", e);
+				return false;
+			}
+		}
+		// Batches journaled before the store entry was recorded leave the store alone.
+		if (change.previousStored !== undefined && (this.settings.noteDirections[file.path] ?? null) !== change.previousStored) {
+			if (change.previousStored === null) delete this.settings.noteDirections[file.path];
+			else this.settings.noteDirections[file.path] = change.previousStored;
+			this.refreshLeafDirectionsForFile(file);
+			this.refreshCanvasFileCards(file);
+		}
+		return true;
+	}
+
+	/**
+	 * Sets (or clears, for null) the direction override of a note and applies it to every pane showing it.
+	 * @param file The note; defaults to the active file.
+	 * @param notify Whether to confirm with a Notice. Failed writes are always reported.
+	 * @returns Whether the direction was written.
+	 */
+	async setNoteDirection(direction: DirectionSetting | null, file: TFile | null = this.app.workspace.getActiveFile(), notify = true): Promise<boolean> {
+		if (!file || file.extension !== 'md') {
+			if (notify) new Notice(file ? "Direction can only be set for Markdown files." : "No active file.");
+			return false;
+		}
+		this.trackResolvedDirection(file, this.resolveNoteDirectionDetails(file));
+		if (!await this.writeNoteDirection(file, direction)) return false;
+		// The metadata cache catches up asynchronously, so every leaf showing the note gets the new state right away.
+		const resolved = direction !== null ? { direction, source: 'frontmatter' as DirectionSource } : this.resolveFallbackDirection(file);
+		this.trackResolvedDirection(file, resolved);
+		this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+			if ((leaf.view as MarkdownView).file !== file) return;
+			this.leafDirections.set(leaf, { path: file.path, resolved });
+			this.applyLeafDirection(leaf);
+		});
+		this.refreshCanvasFileCards(file);
+		this.updateStatusBarIndicator();
+		if (notify) new Notice(`Note direction ${direction ? 'set to ' + direction.toUpperCase() : 'override cleared'}.`);
+		return true;
+	}
+
+	/**
+	 * Takes a note opened right after it was created as created by the user in this window: Obsidian opens
+	 * the notes it creates for the user, while notes arriving through sync, git or other plugins are not opened.
+	 * The direction is checked from the note's first metadata change on, once a template had its chance to
+	 * add a `direction` key, tags or a language.
+	 */
+	claimNewNote(file: TFile) {
+		const created = this.newNoteCandidates.get(file.path);
+		if (created === undefined) return;
+		this.newNoteCandidates.delete(file.path);
+		if (Date.now() - created <= NEW_NOTE_OPEN_DELAY) this.pendingNewNotes.add(file.path);
+	}
+
+	/**
+	 * Locks in the direction of a new note once it can be decided: a `direction` key already in its frontmatter
+	 * (e.g. from its template) ends the check, then a matching direction rule decides if enabled, then detection
+	 * of the note body once it has enough letters and confidence. Depending on the mode the direction is written
+	 * right away or offered in a Notice.
+	 */
+	async checkNewNoteLockIn(file: TFile) {
+		const { mode, minLetters, minConfidence, useRuleDirection } = this.settings.newNoteLockIn;
+		if (mode === 'off') {
+			this.pendingNewNotes.clear();
+			this.newNoteCandidates.clear();
+			return;
+		}
+		try {
+			if (this.getNoteDirectionOverride(file)) {
+				this.pendingNewNotes.delete(file.path);
+				return;
+			}
+			const rule = useRuleDirection ? this.matchDirectionRule(file) : null;
+			if (rule && rule.direction !== 'auto') {
+				this.pendingNewNotes.delete(file.path);
+				await this.lockInNoteDirection(file, rule.direction, `${RULE_MATCHER_LABELS[rule.matcher].toLowerCase()} rule`);
+				return;
+			}
+			const content = await this.app.vault.cachedRead(file);
+			const detection = this.detect(getNoteDirectionText(content.split('\n'))); // Code, math and sections do not count
+			if (detection.direction === 'neutral' || detection.counts.rtl + detection.counts.ltr < minLetters || detection.confidence < minConfidence) return;
+			if (!this.pendingNewNotes.delete(file.path)) return; // Already decided by an earlier check
+			await this.lockInNoteDirection(file, detection.direction, `detected, ${Math.round(detection.confidence * 100)}% confidence`);
+		} catch (e) {
+			console.error(`Error locking in the direction of ${file.path}:`, e);
+		}
+	}
+
+	/**
+	 * Writes the direction of a new note, or asks first in prompt mode.
+	 * @param reason Where the direction comes from, shown in the Notice.
+	 */
+	async lockInNoteDirection(file: TFile, direction: DirectionSetting, reason: string) {
+		if (this.settings.newNoteLockIn.mode === 'auto') {
+			if (!await this.setNoteDirection(direction, file, false)) return;
+			new Notice(`Direction of "${file.basename}" set to ${direction.toUpperCase()} (${reason}).`);
+			return;
+		}
+		const fragment = createFragment(f => {
+			f.createSpan({ text: `"${file.basename}" looks ${direction.toUpperCase()} (${reason}). ` });
+			f.createEl('button', { text: `Set to ${direction.toUpperCase()}` }, button => {
+				button.addEventListener('click', async () => {
+					notice.hide();
+					await this.setNoteDirection(direction, file);
+				});
+			});
+		});
+		const notice = new Notice(fragment, 15000);
+	}
+
+	/**
+	 * Records the resolved direction of a note and fires DIRECTION_CHANGED_EVENT when it differs from the last one seen.
+	 * The first resolution of a note only records it.
+	 */
+	trackResolvedDirection(file: TFile, resolved: ResolvedDirection) {
+		if (file.extension !== 'md') return;
+		const previous = this.knownDirections.get(file.path);
+		this.knownDirections.set(file.path, resolved.direction);
+		if (previous === undefined || previous === resolved.direction) return;
+		const event: DirectionChangedEvent = { file, direction: resolved.direction, previous, source: resolved.source };
+		this.app.workspace.trigger(DIRECTION_CHANGED_EVENT, event);
+	}
+
+	/**
+	 * Asks open Markdown editors (or only the one in `onlyLeaf`) to rebuild their per-line direction decorations.
+	 */
+	refreshEditorLineDirections(onlyLeaf?: WorkspaceLeaf) {
+		const leaves = onlyLeaf ? [onlyLeaf] : this.app.workspace.getLeavesOfType('markdown');
+		leaves.forEach(leaf => {
+			try {
+				const editorView = ((leaf.view as MarkdownView).editor as unknown as { cm?: EditorView } | undefined)?.cm;
+				editorView?.dispatch({ effects: refreshLineDirectionsEffect.of(null) });
+			} catch (e) {
+				console.error("Error refreshing line directions:", e);
+			}
+		});
+	}
+
+	/**
+	 * Returns the direction setting of a CodeMirror editor, from the state of the leaf it belongs to.
+	 */
+	getEditorDirection(view: EditorView): DirectionSetting {
+		const info = view.state.field(editorInfoField, false);
+		const file = info?.file ?? null;
+		const state = info instanceof MarkdownView ? this.leafDirections.get(info.leaf) : undefined;
+		if (state && file && state.path === file.path) return state.resolved.direction;
+		return this.resolveNoteDirection(file);
+	}
+
+	/**
+	 * Whether an editor should get per-line directions, i.e. its note resolves to 'auto' and detection is on.
+	 */
+	isLineDirectionActive(view: EditorView): boolean {
+		if (!this.settings.enableAdvancedTextDetection) return false;
+		return this.getEditorDirection(view) === 'auto';
+	}
+
+	/**
+	 * Options passed to the detector, taken from the settings.
+	 */
+	getDetectionOptions(): { strategy: DetectionStrategy; threshold: number } {
+		return { strategy: this.settings.detectionStrategy, threshold: this.settings.rtlThreshold };
+	}
+
+	/**
+	 * Runs the full detector on a piece of text with the configured options.
+	 */
+	detect(text: string): DirectionDetection {
+		return detectDirection(text, this.getDetectionOptions());
+	}
+
+	/**
+	 * Detects the direction of a block of text.
+	 * @returns 'rtl' or 'ltr', or null when the text has no letters and should inherit its direction.
+	 */
+	detectTextDirection(text: string): 'rtl' | 'ltr' | null {
+		const { direction } = this.detect(text);
+		return direction === 'neutral' ? null : direction;
+	}
+
+	/**
+	 * Returns the detection of an editor line, from the line detection cache when the same text was detected before.
+	 */
+	getLineDetection(state: EditorState, lineNo: number): LineDetection {
+		const text = state.doc.line(lineNo).text;
+		const cached = this.lineDetectionCache.get(text);
+		if (cached) return cached;
+		const detected = this.detect(text);
+		const { direction, counts } = detected;
+		const detection: LineDetection = { direction: direction === 'neutral' ? null : direction, rtl: counts.rtl, ltr: counts.ltr, script: getTypographyScript(detected) };
+		if (this.lineDetectionCache.size >= MAX_LINE_DETECTION_CACHE) this.lineDetectionCache.clear();
+		this.lineDetectionCache.set(text, detection);
+		return detection;
+	}
+
+	/**
+	 * Detects the direction of a whole editor document from its line detections: the first line with
+	 * letters for the 'first-strong' strategy, the share of RTL letters in the document for 'ratio'.
+	 * Lines of special blocks are left out. For 'ratio', the letter counts field has the sums, so an
+	 * edit does not walk the whole document.
+	 */
+	getDocumentDirection(state: EditorState): 'rtl' | 'ltr' {
+		const counts = this.settings.detectionStrategy === 'ratio' ? state.field(this.documentLetterCountsField, false) : undefined;
+		let rtl = counts?.rtl ?? 0;
+		let ltr = counts?.ltr ?? 0;
+		if (!counts) {
+			for (let lineNo = 1; lineNo <= state.doc.lines; lineNo++) {
+				if (this.getSpecialBlockType(state, lineNo)) continue; // Code, math and frontmatter do not speak for the note
+				if (this.getLineSectionState(state, lineNo)?.isMarker || this.getLineSectionDirection(state, lineNo)) continue; // Nor do sections with their own direction
+				const detection = this.getLineDetection(state, lineNo);
+				if (this.settings.detectionStrategy === 'first-strong' && detection.direction) return detection.direction;
+				rtl += detection.rtl;
+				ltr += detection.ltr;
+			}
+		}
+		if (rtl + ltr === 0) return 'ltr'; // Same default as getBlockDirection
+		return rtl / (rtl + ltr) > this.settings.rtlThreshold ? 'rtl' : 'ltr';
+	}
+
+	/**
+	 * Detects the direction of a note the way its editor shows it: from the editor when the note is open,
+	 * otherwise from the same lines read from the vault (see getNoteDirectionText).
+	 */
+	async detectNoteDirection(file: TFile): Promise<'rtl' | 'ltr'> {
+		for (const leaf of this.app.workspace.getLeavesOfType('markdown')) {
+			const view = leaf.view as MarkdownView;
+			const editorView = view.file === file ? (view.editor as unknown as { cm?: EditorView } | undefined)?.cm : undefined;
+			if (editorView) return this.getDocumentDirection(editorView.state);
+		}
+		const content = await this.app.vault.cachedRead(file);
+		return this.detect(getNoteDirectionText(content.split('\n'))).direction === 'rtl' ? 'rtl' : 'ltr';
+	}
+
+	/**
+	 * Writes the detected direction of an 'auto' editor's document onto its content element.
+	 * Called by the line direction extension whenever the document changes.
+	 */
+	applyDocumentDirection(view: EditorView) {
+		if (!this.isLineDirectionActive(view)) return;
+		try {
+			const detectedDir = this.getDocumentDirection(view.state);
+			const editorContentElement = view.contentDOM;
+			if (editorContentElement.getAttribute('data-effective-direction') === detectedDir) return;
+			editorContentElement.setAttribute('data-effective-direction', detectedDir);
+			editorContentElement.classList.remove('ltr-mode', 'rtl-mode');
+			editorContentElement.classList.add(`${detectedDir}-mode`);
+		} catch (e) {
+			console.error("Error applying document direction:", e);
+		}
+	}
+
+	/**
+	 * Times detection on the active note: a full rescan of the text against the cached, change-scoped path.
+	 */
+	benchmarkDetection() {
+		const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+		const editorView = (view?.editor as unknown as { cm?: EditorView } | undefined)?.cm;
+		if (!editorView) {
+			new Notice("Open a note in the editor to benchmark direction detection.");
+			return;
+		}
+		const doc = editorView.state.doc;
+		const time = (run: () => void) => {
+			const start = performance.now();
+			run();
+			return performance.now() - start;
+		};
+
+		const fullText = time(() => getBlockDirection(doc.toString(), this.getDetectionOptions()));
+		const everyLine = time(() => {
+			for (let lineNo = 1; lineNo <= doc.lines; lineNo++) this.detect(doc.line(lineNo).text);
+		});
+		this.lineDetectionCache.clear(); // Editors fill it again as they need it
+		let state = editorView.state;
+		const coldCache = time(() => {
+			state = EditorState.create({ doc, extensions: [specialBlockField, sectionDirectionField, this.documentLetterCountsField] });
+			this.getDocumentDirection(state);
+		});
+		const middleLine = doc.line(Math.ceil(doc.lines / 2));
+		const oneLineEdit = time(() => {
+			const edited = state.update({ changes: { from: middleLine.to, insert: ' ' } }).state;
+			this.getDocumentDirection(edited);
+		});
+
+		const report = `Direction detection on ${doc.lines} lines (${doc.length} characters): ` +
+			`full text ${fullText.toFixed(1)} ms, every line ${everyLine.toFixed(1)} ms, ` +
+			`cold cache ${coldCache.toFixed(1)} ms, after a one-line edit ${oneLineEdit.toFixed(1)} ms.`;
+		new Notice(report, 10000);
+	}
+
+	/**
+	 * Returns the configured direction of a special block type or inline span kind, or null when it follows the text.
+	 */
+	getForcedDirection(target: ForcedDirectionTarget): 'rtl' | 'ltr' | null {
+		const direction = this.settings.forcedDirections[target];
+		return direction === 'ltr' || direction === 'rtl' ? direction : null;
+	}
+
+	/**
+	 * Returns the special block an editor line belongs to, or null for ordinary lines.
+	 */
+	getSpecialBlockType(state: EditorState, lineNo: number): SpecialBlockType | null {
+		return state.field(specialBlockField, false)?.[lineNo - 1]?.type ?? null;
+	}
+
+	/**
+	 * Returns the forced direction of an editor line, when it belongs to a special block that has one.
+	 */
+	getLineForcedDirection(state: EditorState, lineNo: number): 'rtl' | 'ltr' | null {
+		const blockType = this.getSpecialBlockType(state, lineNo);
+		return blockType ? this.getForcedDirection(blockType) : null;
+	}
+
+	/**
+	 * Returns the forced direction of an inline span type: inline code and math can have one.
+	 */
+	getSpanForcedDirection(type: InlineSpanType): 'rtl' | 'ltr' | null {
+		if (type === 'code') return this.getForcedDirection('inlineCode');
+		if (type === 'math') return this.getForcedDirection('inlineMath');
+		return null;
+	}
+
+	/**
+	 * Wraps the lines of the selection (or the cursor's line) in `%% dir: ... %%` and `%% dir: end %%` markers.
+	 */
+	insertSectionMarkers(editor: Editor, direction: DirectionSetting) {
+		const from = editor.getCursor('from');
+		const to = editor.getCursor('to');
+		const lastLine = to.ch === 0 && to.line > from.line ? to.line - 1 : to.line; // A selection ending at a line start leaves that line out
+		const start = { line: from.line, ch: 0 };
+		const end = { line: lastLine, ch: editor.getLine(lastLine).length };
+		const content = editor.getRange(start, end);
+		editor.replaceRange(`%% dir: ${direction} %%\n${content}\n%% dir: end %%`, start, end);
+		if (content.length === 0) editor.setCursor({ line: from.line + 1, ch: 0 });
+	}
+
+	/**
+	 * Removes the unbalanced and redundant bidi controls of the note in an editor, as one undoable change.
+	 */
+	cleanEditorBidiControls(editor: Editor) {
+		const { removed } = cleanBidiControls(editor.getValue());
+		if (removed.length === 0) {
+			new Notice("No unbalanced or redundant bidi control characters found.");
+			return;
+		}
+		editor.transaction({ changes: removed.map(index => ({ from: editor.offsetToPos(index), to: editor.offsetToPos(index + 1), text: '' })) });
+		new Notice(`Removed ${removed.length} bidi control character${removed.length === 1 ? '' : 's'}.`);
+	}
+
+	/**
+	 * Finds the unbalanced and redundant bidi controls of every Markdown note, and removes them once confirmed in a Notice.
+	 */
+	async cleanVaultBidiControls() {
+		const affected: { file: TFile; count: number }[] = [];
+		for (const file of this.app.vault.getMarkdownFiles()) {
+			try {
+				const count = cleanBidiControls(await this.app.vault.cachedRead(file)).removed.length;
+				if (count > 0) affected.push({ file, count });
+			} catch (e) {
+				console.error(`Error checking bidi controls of ${file.path}:`, e);
+			}
+		}
+		if (affected.length === 0) {
+			new Notice("No unbalanced or redundant bidi control characters found in the vault.");
+			return;
+		}
+		const total = affected.reduce((sum, { count }) => sum + count, 0);
+		const fragment = createFragment(f => {
+			f.createSpan({ text: `${total} unbalanced or redundant bidi control characters in ${affected.length} notes. ` });
+			f.createEl('button', { text: 'Remove them' }, button => {
+				button.addEventListener('click', async () => {
+					notice.hide();
+					let failed = 0;
+					for (const { file } of affected) {
+						try {
+							await this.app.vault.process(file, data => cleanBidiControls(data).text);
+						} catch (e) {
+							console.error(`Error cleaning bidi controls of ${file.path}:`, e);
+							failed++;
+						}
+					}
+					new Notice(`Cleaned bidi control characters in ${affected.length - failed} notes${failed ? `, ${failed} failed (see console)` : ''}.`);
+				});
+			});
+		});
+		const notice = new Notice(fragment, 0);
+	}
+
+	/**
+	 * Returns the section direction state of an editor line (see sectionDirectionField).
+	 */
+	getLineSectionState(state: EditorState, lineNo: number): SectionLineState | null {
+		return state.field(sectionDirectionField, false)?.[lineNo - 1] ?? null;
+	}
+
+	/**
+	 * Returns the direction set for an editor line by the innermost section marker or heading attribute around it.
+	 */
+	getLineSectionDirection(state: EditorState, lineNo: number): DirectionSetting | null {
+		const scopes = this.getLineSectionState(state, lineNo)?.scopes;
+		return scopes?.length ? scopes[scopes.length - 1].direction : null;
+	}
+
+	/**
+	 * Returns the effective direction of every visible, non-blank line of an editor.
+	 * In 'auto' editors each line is detected, and lines without letters inherit from the line above
+	 * in the same paragraph; otherwise every line has the editor's direction. Lines of special blocks
+	 * with a forced direction (including blank ones) have that direction and are flagged `forced`.
+	 * Lines inside a section marker take the section's direction over the editor's, and are flagged too.
+	 */
+	getVisibleLineDirections(view: EditorView): { line: Line; direction: 'rtl' | 'ltr'; forced: boolean }[] {
+		const result: { line: Line; direction: 'rtl' | 'ltr'; forced: boolean }[] = [];
+		const doc = view.state.doc;
+		const editorDirection = this.getEditorDirection(view);
+		const detectionEnabled = this.settings.enableAdvancedTextDetection;
+		const fallbackDirection = this.settings.globalDefaultDirection === 'rtl' ? 'rtl' : 'ltr';
+		let lastLineNo = 0;
+		for (const { from, to } of view.visibleRanges) {
+			const firstLineNo = Math.max(doc.lineAt(from).number, lastLineNo + 1);
+			let inheritedDir = detectionEnabled ? this.getParagraphDirectionBefore(view, firstLineNo) : null;
+			for (let lineNo = firstLineNo; lineNo <= doc.lineAt(to).number; lineNo++) {
+				lastLineNo = lineNo;
+				const line = doc.line(lineNo);
+				const forcedDir = this.getLineForcedDirection(view.state, lineNo);
+				if (forcedDir) {
+					result.push({ line, direction: forcedDir, forced: true });
+					inheritedDir = null; // Special blocks are paragraphs of their own
+					continue;
+				}
+				if (line.text.trim().length === 0 || this.getLineSectionState(view.state, lineNo)?.isMarker) {
+					inheritedDir = null; // Blank lines and markers end the paragraph
+					continue;
+				}
+				const sectionDir = this.getLineSectionDirection(view.state, lineNo);
+				const direction = sectionDir ?? editorDirection;
+				let lineDir: 'rtl' | 'ltr' | null = direction !== 'auto' ? direction : fallbackDirection;
+				if (direction === 'auto' && detectionEnabled) lineDir = this.getLineDetection(view.state, lineNo).direction ?? inheritedDir;
+				if (lineDir) {
+					result.push({ line, direction: lineDir, forced: sectionDir !== null });
+					inheritedDir = lineDir;
+				}
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * Span types given their own direction inside RTL paragraphs: the isolated types, plus inline code
+	 * and math when they have a forced direction, even with isolation off.
+	 */
+	getIsolatedSpanTypes(): InlineSpanType[] {
+		const { enabled, types } = this.settings.bidiIsolation;
+		const isolated = enabled ? (Object.keys(types) as InlineSpanType[]).filter(type => types[type]) : [];
+		(['code', 'math'] as InlineSpanType[]).forEach(type => {
+			if (!isolated.includes(type) && this.getSpanForcedDirection(type)) isolated.push(type);
+		});
+		return isolated;
+	}
+
+	/**
+	 * Isolates inline spans inside the RTL blocks of a rendered section: code, math, links and
+	 * emails are rendered as elements and get a `dir`; file paths in plain text are wrapped in `<bdi>`.
+	 */
+	isolateRenderedInlineSpans(el: HTMLElement) {
+		const types = this.getIsolatedSpanTypes();
+		if (types.length === 0) return;
+		const isInRtlBlock = (node: Node) => {
+			const element = node.instanceOf(HTMLElement) ? node : node.parentElement;
+			const dirHolder = element?.closest('[dir], [data-effective-direction]') as HTMLElement | null;
+			return (dirHolder?.getAttribute('dir') ?? dirHolder?.dataset.effectiveDirection ?? el.dataset.effectiveDirection) === 'rtl';
+		};
+
+		types.forEach(type => {
+			const selector = READING_VIEW_ISOLATION_SELECTORS[type];
+			if (!selector) return;
+			el.querySelectorAll<HTMLElement>(selector).forEach(spanEl => {
+				if (!isInRtlBlock(spanEl.parentElement ?? spanEl)) return;
+				spanEl.addClass('intelligent-rtl-isolate');
+				spanEl.setAttribute('dir', this.getSpanForcedDirection(type) ?? this.detectTextDirection(spanEl.textContent || "") ?? 'ltr');
+			});
+		});
+
+		if (!types.includes('path')) return;
+		const textNodes: Text[] = [];
+		const walker = el.doc.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+		while (walker.nextNode()) {
+			const textNode = walker.currentNode as Text;
+			if (textNode.parentElement?.closest('code, pre, a, bdi, .math, .intelligent-rtl-isolate')) continue;
+			if (isInRtlBlock(textNode)) textNodes.push(textNode);
+		}
+		textNodes.forEach(textNode => {
+			const text = textNode.data;
+			const spans = findInlineSpans(text, ['path']);
+			if (spans.length === 0) return;
+			const fragment = el.doc.createDocumentFragment();
+			let offset = 0;
+			spans.forEach(span => {
+				fragment.append(text.slice(offset, span.from));
+				fragment.createEl('bdi', { text: text.slice(span.from, span.to), cls: 'intelligent-rtl-isolate', attr: { dir: span.direction } });
+				offset = span.to;
+			});
+			fragment.append(text.slice(offset));
+			textNode.replaceWith(fragment);
+		});
+	}
+
+	/**
+	 * Finds the direction a line inherits from the lines above it in the same paragraph.
+	 * Scans upwards until a blank line or a line with letters is found.
+	 */
+	getParagraphDirectionBefore(view: EditorView, lineNo: number): 'rtl' | 'ltr' | null {
+		const doc = view.state.doc;
+		for (let n = lineNo - 1; n >= 1; n--) {
+			if (doc.line(n).text.trim().length === 0 || this.getLineForcedDirection(view.state, n) || this.getLineSectionState(view.state, n)?.isMarker) return null;
+			const detectedDir = this.getLineDetection(view.state, n).direction;
+			if (detectedDir) return detectedDir;
+		}
+		return null;
+	}
+
+	/**
+	 * Collects every step of the direction resolution chain of the active note.
+	 * @returns The explanation, or null when no Markdown note is active.
+	 */
+	explainActiveNoteDirection(): DirectionExplanation | null {
+		const file = this.app.workspace.getActiveFile();
+		const resolved = this.getActiveNoteDirection();
+		if (!file || !resolved) return null;
+		const activeView = this.app.workspace.getActiveViewOfType(MarkdownView);
+		const editorView = activeView?.file === file ? (activeView.editor as unknown as { cm?: EditorView } | undefined)?.cm : undefined;
+		let detection: DirectionDetection | null = null;
+		if (resolved.direction === 'auto' && this.settings.enableAdvancedTextDetection && activeView?.file === file) {
+			// Reading view may have no editor yet; the view data is the same source.
+			const lines = editorView ? editorView.state.doc.toJSON() : activeView.getViewData().split('\n');
+			detection = this.detect(getNoteDirectionText(lines));
+		}
+		return {
+			file,
+			resolved,
+			frontmatter: this.getNoteDirectionOverride(file),
+			rule: this.matchDirectionRule(file),
+			editorDefault: this.settings.editor.direction,
+			globalDefault: this.settings.globalDefaultDirection,
+			detection,
+			blocks: editorView ? this.countBlockDirections(editorView.state) : null
+		};
+	}
+
+	/**
+	 * Describes a direction explanation, one step per line. The step that decided is marked with an arrow.
+	 */
+	formatDirectionExplanation(explanation: DirectionExplanation): string[] {
+		const { resolved, rule, detection, blocks } = explanation;
+		const mark = (decided: boolean) => decided ? '→ ' : '   ';
+		const lines = [
+			`${mark(resolved.source === 'frontmatter')}${this.settings.directionStorage === 'frontmatter' ? 'Frontmatter' : 'Note override'}: ${explanation.frontmatter ? explanation.frontmatter.toUpperCase() : 'not set'}`,
+			`${mark(resolved.source === 'rule')}Rule: ${rule ? `${RULE_MATCHER_LABELS[rule.matcher]} "${rule.pattern || 'all RTL languages'}" → ${rule.direction.toUpperCase()}` : 'no match'}`,
+			`${mark(resolved.source === 'default')}Editor default: ${explanation.editorDefault.toUpperCase()}`,
+			`   Global default: ${explanation.globalDefault.toUpperCase()}`
+		];
+		if (resolved.direction === 'auto') {
+			if (!this.settings.enableAdvancedTextDetection) {
+				lines.push(`Auto without detection: global default ${explanation.globalDefault === 'rtl' ? 'RTL' : 'LTR'}`);
+			} else if (detection) {
+				const verdict = detection.direction === 'neutral' ? 'no letters, LTR' : detection.direction.toUpperCase();
+				lines.push(`Detected: ${verdict} (${Math.round(detection.confidence * 100)}% confidence)`);
+			}
+		}
+		if (blocks) lines.push(`Blocks: ${blocks.rtl} RTL, ${blocks.ltr} LTR`);
+		return lines;
+	}
+
+	/**
+	 * Counts the RTL and LTR blocks of an editor document from its cached line detections. A block runs up to
+	 * the next blank line or block start, and takes the direction of its first line with letters.
+	 */
+	countBlockDirections(state: EditorState): { rtl: number; ltr: number } {
+		const counts = { rtl: 0, ltr: 0 };
+		let blockDirection: 'rtl' | 'ltr' | null = null;
+		let inBlock = false;
+		const closeBlock = () => {
+			if (blockDirection) counts[blockDirection]++;
+			blockDirection = null;
+			inBlock = false;
+		};
+		for (let lineNo = 1; lineNo <= state.doc.lines; lineNo++) {
+			const text = state.doc.line(lineNo).text;
+			if (text.trim().length === 0 || this.getSpecialBlockType(state, lineNo)) {
+				closeBlock();
+				continue;
+			}
+			if (!inBlock || BLOCK_START_REGEX.test(text)) {
+				closeBlock();
+				inBlock = true;
+			}
+			if (!blockDirection) blockDirection = this.getLineDetection(state, lineNo).direction;
+		}
+		closeBlock();
+		return counts;
+	}
+
+	/**
+	 * Opens the status bar menu: the direction choices for the active note, then why it has its current direction.
+	 */
+	openStatusBarMenu(evt: MouseEvent) {
+		const explanation = this.explainActiveNoteDirection();
+		if (!explanation) {
+			new Notice("Open a markdown note to change its direction.");
+			return;
+		}
+		const menu = new Menu();
+		const choices: { title: string; direction: DirectionSetting | null }[] = [
+			{ title: 'LTR', direction: 'ltr' },
+			{ title: 'RTL', direction: 'rtl' },
+			{ title: 'Auto-Detect', direction: 'auto' },
+			{ title: 'Clear override', direction: null }
+		];
+		choices.forEach(({ title, direction }) => {
+			menu.addItem(item => item
+				.setTitle(title)
+				.setChecked(direction !== null && explanation.frontmatter === direction)
+				.setDisabled(direction === null && explanation.frontmatter === null)
+				.onClick(async () => await this.setNoteDirection(direction, explanation.file)));
+		});
+		menu.addSeparator();
+		this.formatDirectionExplanation(explanation).forEach(line => {
+			menu.addItem(item => item.setTitle(line.replace(/^→ /, '').trim()).setIcon(line.startsWith('→') ? 'arrow-right' : null).setDisabled(true));
+		});
+		menu.showAtMouseEvent(evt);
+	}
+
+	/**
+	 * Refreshes the status bar tooltip with the explanation of the active note's direction.
+	 */
+	updateStatusBarTooltip() {
+		if (!this.statusBarItemEl) return;
+		try {
+			const explanation = this.explainActiveNoteDirection();
+			const label = explanation
+				? [`Note text direction: ${explanation.resolved.direction.toUpperCase()}`, ...this.formatDirectionExplanation(explanation), 'Click to change'].join('\n')
+				: 'Note text direction: Not applicable';
+			this.statusBarItemEl.setAttribute('aria-label', label);
+		} catch (e) {
+			console.error("Error updating status bar tooltip:", e);
+		}
+	}
+
+	updateStatusBarIndicator() {
+		if (!this.statusBarItemEl) return;
+		try {
+			const resolved = this.getActiveNoteDirection();
+			let text = 'Dir: N/A';
+			let ariaLabel = 'Note text direction: Not applicable';
+			if (resolved) {
+				const currentDir = resolved.direction;
+				const type = resolved.source === 'frontmatter' ? 'Note' : resolved.source === 'rule' ? 'Rule' : 'Default';
+				text = `Dir: ${currentDir.toUpperCase()} (${type})`;
+				ariaLabel = `Note text direction: ${currentDir.toUpperCase()} (${type})`;
+			}
+			this.statusBarItemEl.setText(text);
+			this.statusBarItemEl.setAttribute('aria-label', ariaLabel);
+		} catch (e) {
+			console.error("Error updating status bar:", e);
+		}
+	}
+
+	applyAllUiSettings() {
+		// Performance: Iterates all leaves and UI components. Called on load and global settings change.
+		// Selector Stability: Relies on Obsidian's DOM structure. Prone to breakage with updates.
+		try {
+			const currentCanvasViewContentElements = new Set<Element>(); // Tracks .canvas-nodes elements
+
+			this.app.workspace.iterateAllLeaves(leaf => {
+				try {
+					if (leaf.view instanceof MarkdownView) {
+						const editorCMContent = leaf.view.containerEl.querySelector('.cm-content') as HTMLElement | null;
+						if (editorCMContent) {
+							const dir = this.updateLeafDirectionState(leaf)?.state.resolved.direction ?? this.settings.editor.direction;
+							this.applyDirectionToElement(editorCMContent, dir, `editor-${leaf.id}`);
+						}
+					} else if (leaf.view.getViewType() === 'canvas') {
+						const canvasViewContainer = leaf.view.containerEl;
+						const canvasNodesElement = canvasViewContainer.querySelector('.canvas-nodes') as HTMLElement | null; // Target for new cards
+						if (canvasNodesElement) {
+							currentCanvasViewContentElements.add(canvasNodesElement);
+							// Observe .canvas-nodes for child changes (new cards)
+							// The direction setting for the observer itself is less critical than for individual cards.
+							// We observe if canvasCard setting is 'auto' OR just always observe if canvasObserver exists.
+							// Let's observe if canvasCard setting might lead to 'auto' cards.
+							this.manageObserver(this.canvasObserver, canvasNodesElement, true, this.observedCanvasContainers, `canvas-nodes-${leaf.id}`);
+						}
+						this.applyCanvasDirections(leaf);
+					}
+				} catch (e) {
+					console.error(`Error processing leaf ${leaf.id} in applyAllUiSettings:`, e);
+				}
+			});
+
+			this.cleanupOldObservers(this.canvasObserver, this.observedCanvasContainers, currentCanvasViewContentElements);
+
+			// Sidebars, panes, tab headers, modals and suggesters
+			this.applyUiContainers();
+			this.applyBodyStyleProperties();
+			this.applyMirrorInterface();
+			this.applyTypographyClasses();
+		} catch (error) {
+			console.error("Fatal error in applyAllUiSettings:", error);
+		}
+		this.lineDetectionCache.clear(); // Detection settings may have changed
+		this.refreshEditorLineDirections();
+		this.rerenderReadingViews();
+	}
+
+	/**
+	 * Applies the direction setting of every UI_CONTAINERS entry in all windows,
+	 * and starts watching each window's body for modals and suggesters.
+	 */
+	applyUiContainers() {
+		const documents = this.getWorkspaceDocuments();
+		const currentItemContainers = new Set<Element>();
+		for (const container of UI_CONTAINERS) {
+			try {
+				this.getUiContainerElements(container, documents).forEach(el => {
+					if (this.applyUiContainerDirection(el, container)) currentItemContainers.add(el);
+				});
+			} catch (e) {
+				console.error(`Error applying direction to ${container.name}:`, e);
+			}
+		}
+		this.cleanupOldObservers(this.itemObserver, this.observedItemContainers, currentItemContainers);
+		// Bodies of closed pop-out windows; the observer stops reporting them once they are gone.
+		this.observedOverlayRoots.forEach(root => {
+			if (!documents.has(root.ownerDocument)) this.observedOverlayRoots.delete(root);
+		});
+		documents.forEach(doc => {
+			if (!this.overlayObserver || this.observedOverlayRoots.has(doc.body)) return;
+			this.overlayObserver.observe(doc.body, { childList: true }); // Overlays are direct children of the body
+			this.observedOverlayRoots.add(doc.body);
+		});
+		this.refreshDiagnosticsViews(); // Runs after every layout change, so selector checks stay current
+	}
+
+	/**
+	 * Opens the diagnostics view in the right sidebar, or reveals it when it is already open.
+	 */
+	async openDiagnosticsView() {
+		const { workspace } = this.app;
+		let leaf = workspace.getLeavesOfType(DIAGNOSTICS_VIEW_TYPE)[0];
+		if (!leaf) {
+			leaf = workspace.getRightLeaf(false) ?? workspace.getLeaf('tab');
+			await leaf.setViewState({ type: DIAGNOSTICS_VIEW_TYPE, active: true });
+		}
+		workspace.revealLeaf(leaf);
+	}
+
+	/**
+	 * Re-runs the checks of every open diagnostics view.
+	 */
+	refreshDiagnosticsViews() {
+		this.app.workspace.getLeavesOfType(DIAGNOSTICS_VIEW_TYPE).forEach(leaf => {
+			if (leaf.view instanceof DiagnosticsView) leaf.view.render();
+		});
+	}
+
+	/**
+	 * Lists every element the plugin manages, with its configured and effective direction, where the direction
+	 * comes from and how the element is watched. Selectors that match nothing are reported as issues.
+	 */
+	collectDiagnostics(): DiagnosticEntry[] {
+		const entries: DiagnosticEntry[] = [];
+		const effectiveOf = (el: HTMLElement) => el.dataset.effectiveDirection?.toUpperCase() ?? `${el.win.getComputedStyle(el).direction.toUpperCase()} (inherited)`;
+		const sourceLabels: Record<DirectionSource, string> = { frontmatter: 'Note override', rule: 'Direction rule', default: 'Editor setting' };
+		// Tabs restored in the background are not loaded until shown, and have none of their elements yet.
+		const isDeferred = (leaf: WorkspaceLeaf) => (leaf as unknown as { isDeferred?: boolean }).isDeferred === true;
+		const deferredEntry = (area: string, leaf: WorkspaceLeaf): DiagnosticEntry =>
+			({ area, target: leaf.getDisplayText(), configured: '-', effective: '-', source: 'Tab not loaded yet', observer: '-' });
+
+		this.app.workspace.getLeavesOfType('markdown').forEach(leaf => {
+			const view = leaf.view;
+			if (!(view instanceof MarkdownView)) {
+				entries.push(deferredEntry('Editor', leaf));
+				return;
+			}
+			const resolved = this.leafDirections.get(leaf)?.resolved ?? this.resolveNoteDirectionDetails(view.file);
+			const content = view.containerEl.querySelector<HTMLElement>('.cm-content');
+			const editorView = (view.editor as unknown as { cm?: EditorView } | undefined)?.cm;
+			entries.push({
+				area: 'Editor',
+				target: leaf.getDisplayText(),
+				configured: resolved.direction.toUpperCase(),
+				effective: content ? effectiveOf(content) : '-',
+				source: sourceLabels[resolved.source],
+				observer: editorView && this.isLineDirectionActive(editorView) ? 'Editor extension, per line' : 'Editor extension',
+				issue: content ? undefined : "Selector '.cm-content' matched nothing."
+			});
+		});
+
+		this.app.workspace.getLeavesOfType('canvas').forEach(leaf => {
+			if (isDeferred(leaf)) {
+				entries.push(deferredEntry('Canvas', leaf));
+				return;
+			}
+			const nodesEl = leaf.view.containerEl.querySelector<HTMLElement>('.canvas-nodes');
+			const cards = Array.from(leaf.view.containerEl.querySelectorAll<HTMLElement>('.canvas-node-content, .canvas-card-content'));
+			const nodeCount = this.getCanvas(leaf)?.nodes.size ?? 0;
+			const withDirection = cards.filter(card => card.dataset.effectiveDirection).length;
+			// Cards with an LTR or RTL override whose content, or a section rendered into it, shows another direction.
+			const overridden = Array.from(this.getCanvas(leaf)?.nodes.values() ?? []).filter(node => {
+				const override = node.getData().direction;
+				const content = node.contentEl ?? node.nodeEl.querySelector<HTMLElement>('.canvas-node-content');
+				if ((override !== 'ltr' && override !== 'rtl') || !content) return false;
+				if (content.dataset.effectiveDirection !== override) return true;
+				return Array.from(content.querySelectorAll<HTMLElement>('.markdown-preview-sizer > [data-effective-direction]'))
+					.some(section => section.dataset.effectiveDirection !== override);
+			}).length;
+			let issue: string | undefined;
+			if (!nodesEl) issue = "Selector '.canvas-nodes' matched nothing; new cards are not picked up.";
+			else if (nodeCount > 0 && cards.length === 0) issue = "Selectors '.canvas-node-content' and '.canvas-card-content' matched nothing.";
+			else if (overridden > 0) issue = `${overridden} cards do not show their direction override after rendering.`;
+			entries.push({
+				area: 'Canvas',
+				target: `${leaf.getDisplayText()}: ${cards.length} cards, ${withDirection} with a direction`,
+				configured: this.settings.canvasCard.direction.toUpperCase(),
+				effective: cards.length > 0 ? `${cards.filter(card => card.dataset.effectiveDirection === 'rtl').length} RTL` : '-',
+				source: this.getCanvas(leaf) ? 'Card overrides, linked notes, Canvas Card setting' : 'Canvas Card setting (canvas internals unavailable)',
+				observer: nodesEl && this.observedCanvasContainers.has(nodesEl) ? 'New cards observed' : 'Not observed',
+				issue
+			});
+		});
+
+		const documents = this.getWorkspaceDocuments();
+		UI_CONTAINERS.forEach(container => {
+			const direction = this.settings.containers[container.key]?.direction ?? container.defaultDirection;
+			const perItem = direction === 'auto' && !!container.itemSelector && this.settings.enableAdvancedTextDetection;
+			let source = 'Container setting';
+			if (direction === 'inherit') source = 'Obsidian';
+			else if (perItem) source = 'Detected per item';
+			else if (direction === 'auto') source = this.settings.enableAdvancedTextDetection ? 'Detected' : 'Global default';
+			const entry = { area: container.name, configured: direction.toUpperCase(), source };
+			const selectors = container.selectors ?? [];
+
+			if (container.scope === 'view') {
+				const leaves = this.app.workspace.getLeavesOfType(container.viewType ?? '');
+				if (leaves.length === 0) entries.push({ ...entry, target: 'Not open', effective: '-', observer: '-' });
+				leaves.forEach(leaf => {
+					if (isDeferred(leaf)) {
+						entries.push({ ...deferredEntry(container.name, leaf), configured: entry.configured });
+						return;
+					}
+					const selector = selectors.find(sel => leaf.view.containerEl.querySelector(sel));
+					const el = selector ? leaf.view.containerEl.querySelector<HTMLElement>(selector) ?? leaf.view.containerEl : leaf.view.containerEl;
+					entries.push({
+						...entry,
+						target: selector ?? '.view-content fallback',
+						effective: perItem ? `${el.querySelectorAll('[data-rtl-item][dir="rtl"]').length} RTL items` : effectiveOf(el),
+						observer: this.observedItemContainers.has(el) ? 'Items observed' : '-',
+						issue: selector || selectors.length === 0 ? undefined : `None of ${selectors.join(', ')} matched; the whole view is used instead.`
+					});
+				});
+				return;
+			}
+			const elements = this.getUiContainerElements(container, documents);
+			const rtlCount = elements.filter(el => el.dataset.effectiveDirection === 'rtl').length;
+			let observer = '-';
+			if (container.scope === 'overlay') observer = Array.from(documents).every(doc => this.observedOverlayRoots.has(doc.body)) ? 'Window bodies observed' : 'Not observed';
+			let issue: string | undefined;
+			// Overlays only exist while a modal or suggester is open; titles and tab headers exist while notes are open.
+			if (elements.length === 0 && container.scope === 'workspace' && this.app.workspace.getLeavesOfType('markdown').some(leaf => leaf.view instanceof MarkdownView)) {
+				issue = `Selector ${selectors.join(', ')} matched nothing.`;
+			}
+			entries.push({
+				...entry,
+				target: container.scope === 'split' ? `${container.split} split` : `${elements.length} × ${selectors.join(', ')}`,
+				effective: elements.length === 1 ? effectiveOf(elements[0]) : elements.length > 0 ? `${rtlCount} RTL, ${elements.length - rtlCount} other` : '-',
+				observer,
+				issue
+			});
+		});
+		return entries;
+	}
+
+	/**
+	 * Formats diagnostics as plain text for bug reports.
+	 */
+	formatDiagnosticsReport(entries: DiagnosticEntry[]): string {
+		const { settings } = this;
+		const lines = [
+			`Intelligent RTL Management ${this.manifest.version}, Obsidian ${apiVersion}`,
+			`Global default: ${settings.globalDefaultDirection}, detection: ${settings.enableAdvancedTextDetection ? `${settings.detectionStrategy} (threshold ${settings.rtlThreshold})` : 'off'}, ` +
+				`mirror interface: ${settings.mirrorInterface ? 'on' : 'off'}, override storage: ${settings.directionStorage}`,
+			`Windows: ${this.getWorkspaceDocuments().size}`,
+			''
+		];
+		const issues = entries.filter(entry => entry.issue);
+		lines.push(issues.length ? `Issues (${issues.length}):` : 'Issues: none');
+		issues.forEach(entry => lines.push(`- ${entry.area} (${entry.target}): ${entry.issue}`));
+		lines.push('', 'Managed elements:');
+		entries.forEach(entry => lines.push(`- ${entry.area} | ${entry.target} | configured ${entry.configured} | effective ${entry.effective} | ${entry.source} | ${entry.observer}`));
+		return lines.join('\n');
+	}
+
+	/**
+	 * Custom properties set on the body of every window for the stylesheet: the ordered list marker style
+	 * and the forced direction of each special block type. Null removes the property.
+	 */
+	getBodyStyleProperties(): Record<string, string | null> {
+		const properties: Record<string, string | null> = { '--intelligent-rtl-list-style': this.settings.listNumbering };
+		(['code', 'mermaid', 'math', 'frontmatter'] as SpecialBlockType[]).forEach(type => {
+			properties[`--intelligent-rtl-${type}-direction`] = this.getForcedDirection(type);
+		});
+		TYPOGRAPHY_CLASSES.forEach(className => properties[`--${className}`] = null);
+		this.getTypographyValues().forEach(({ property, value }) => properties[property] = value);
+		return properties;
+	}
+
+	applyBodyStyleProperties() {
+		const properties = Object.entries(this.getBodyStyleProperties());
+		this.getWorkspaceDocuments().forEach(doc => properties.forEach(([name, value]) => {
+			if (value === null) doc.body.style.removeProperty(name);
+			else doc.body.style.setProperty(name, value);
+		}));
+	}
+
+	/**
+	 * Adds or removes the class that mirrors the workspace chrome, in every window.
+	 */
+	applyMirrorInterface() {
+		this.getWorkspaceDocuments().forEach(doc => doc.body.toggleClass(MIRROR_INTERFACE_CLASS, this.settings.mirrorInterface));
+	}
+
+	/**
+	 * Resizes a sidebar dragged by its resize handle while the interface is mirrored. Obsidian's own handler
+	 * grows the left sidebar as the pointer moves right, which is backwards once the sidebars have traded sides.
+	 */
+	handleMirroredSidebarResize(evt: MouseEvent) {
+		if (!this.settings.mirrorInterface || evt.button !== 0 || !(evt.target instanceof HTMLElement)) return;
+		const splitEl = evt.target.closest('.workspace-leaf-resize-handle')?.parentElement;
+		if (!splitEl?.hasClass('mod-sidedock')) return;
+		evt.preventDefault();
+		evt.stopPropagation();
+
+		const workspace = this.app.workspace;
+		const isLeft = splitEl.hasClass('mod-left-split');
+		const split = (isLeft ? workspace.leftSplit : workspace.rightSplit) as unknown as { setSize?: (size: number) => void };
+		const startX = evt.clientX;
+		const startWidth = splitEl.getBoundingClientRect().width;
+		const maxWidth = splitEl.doc.body.clientWidth / 2;
+		const onMove = (moveEvt: MouseEvent) => {
+			// The left sidebar now sits on the right, so it grows as the pointer moves left.
+			const delta = (moveEvt.clientX - startX) * (isLeft ? -1 : 1);
+			const width = Math.round(Math.min(maxWidth, Math.max(MIN_SIDEBAR_WIDTH, startWidth + delta)));
+			if (split.setSize) split.setSize(width);
+			else splitEl.style.width = `${width}px`;
+		};
+		const onUp = () => {
+			splitEl.doc.removeEventListener('mousemove', onMove);
+			splitEl.doc.removeEventListener('mouseup', onUp);
+			workspace.requestSaveLayout();
+		};
+		splitEl.doc.addEventListener('mousemove', onMove);
+		splitEl.doc.addEventListener('mouseup', onUp);
+	}
+
+	/**
+	 * Returns the documents of the main window and of every pop-out window.
+	 */
+	getWorkspaceDocuments(): Set<Document> {
+		const documents = new Set<Document>([document]);
+		this.app.workspace.iterateAllLeaves(leaf => documents.add(leaf.view.containerEl.doc));
+		return documents;
+	}
+
+	/**
+	 * Finds the elements a registry container currently targets.
+	 */
+	getUiContainerElements(container: UiContainerDescriptor, documents: Set<Document>): HTMLElement[] {
+		const selectors = container.selectors ?? [];
+		switch (container.scope) {
+			case 'split': {
+				const split = container.split === 'right' ? this.app.workspace.rightSplit : this.app.workspace.leftSplit;
+				return [split.containerEl];
+			}
+			case 'view':
+				return this.app.workspace.getLeavesOfType(container.viewType ?? '').map(leaf => {
+					for (const selector of selectors) {
+						const match = leaf.view.containerEl.querySelector<HTMLElement>(selector);
+						if (match) return match;
+					}
+					return leaf.view.containerEl;
+				});
+			case 'workspace':
+			case 'overlay': {
+				if (selectors.length === 0) return [];
+				const elements: HTMLElement[] = [];
+				documents.forEach(doc => elements.push(...Array.from(doc.body.querySelectorAll<HTMLElement>(selectors.join(', ')))));
+				return elements;
+			}
+		}
+	}
+
+	/**
+	 * Applies a registry container's direction setting to one of its elements.
+	 * For 'inherit', attributes this plugin set earlier are removed. For 'auto' on a container with items,
+	 * every item gets its own detected direction and the container is observed for new items.
+	 * @returns Whether the element is now detected item by item.
+	 */
+	applyUiContainerDirection(element: HTMLElement, container: UiContainerDescriptor): boolean {
+		const direction = this.settings.containers[container.key]?.direction ?? container.defaultDirection;
+		const perItem = direction === 'auto' && !!container.itemSelector && this.settings.enableAdvancedTextDetection;
+		if (!perItem) this.clearItemDirections(element);
+		if (direction === 'inherit') {
+			if (element.dataset.rtlContainer === container.key) this.clearDirectionAttributes(element);
+			return false;
+		}
+		element.dataset.rtlContainer = container.key;
+		if (perItem && container.itemSelector) {
+			// The pane keeps the surrounding layout; only the items are detected.
+			this.clearDirectionAttributes(element);
+			element.dataset.rtlContainer = container.key;
+			element.dataset.direction = 'auto';
+			element.classList.add('auto-detect-direction');
+			element.querySelectorAll<HTMLElement>(container.itemSelector).forEach(item => this.applyItemDirection(item));
+			this.manageObserver(this.itemObserver, element, true, this.observedItemContainers, container.key);
+			return true;
+		}
+		this.applyDirectionToElement(element, direction, container.key);
+		if (direction === 'auto' && container.scope === 'overlay' && this.overlayObserver) {
+			// Suggesters fill in their results after opening; detect again as they change.
+			this.overlayObserver.observe(element, { childList: true, subtree: true, characterData: true });
+		}
+		return false;
+	}
+
+	/**
+	 * Gives one item of a container (a file name, result line, tag or title) its own detected direction.
+	 * Items without letters inherit the direction of the pane.
+	 */
+	applyItemDirection(item: HTMLElement) {
+		const text = item.textContent || "";
+		const cacheKey = this.hasTypography() ? `script:${text}` : text; // Typography turned on or off needs the script again
+		if (this.itemDetectedText.get(item) === cacheKey && item.hasAttribute('data-rtl-item')) return;
+		this.itemDetectedText.set(item, cacheKey);
+		item.setAttribute('data-rtl-item', '');
+		const detection = this.detect(text);
+		if (detection.direction !== 'neutral') item.setAttribute('dir', detection.direction);
+		else item.removeAttribute('dir');
+		this.setScriptAttribute(item, detection.direction === 'rtl' ? detection : null);
+	}
+
+	/**
+	 * Removes the per-item directions of a container, e.g. when it is switched away from 'auto'.
+	 */
+	clearItemDirections(element: HTMLElement) {
+		element.querySelectorAll<HTMLElement>('[data-rtl-item]').forEach(item => {
+			item.removeAttribute('data-rtl-item');
+			item.removeAttribute('dir');
+			item.removeAttribute('data-rtl-script');
+			this.itemDetectedText.delete(item);
+		});
+	}
+
+	handleItemMutation(mutations: MutationRecord[], observer: MutationObserver) {
+		// Expanding folders, new search results and renames only re-detect the items they touch.
+		try {
+			const changedItems = new Set<HTMLElement>();
+			for (const mutation of mutations) {
+				const target = mutation.target.instanceOf(HTMLElement) ? mutation.target : mutation.target.parentElement;
+				const containerEl = target?.closest<HTMLElement>('[data-rtl-container]');
+				const container = UI_CONTAINERS.find(c => c.key === containerEl?.dataset.rtlContainer);
+				if (!target || !containerEl || !container?.itemSelector || containerEl.dataset.direction !== 'auto') continue;
+				const itemSelector = container.itemSelector;
+				const item = target.closest<HTMLElement>(itemSelector);
+				if (item && containerEl.contains(item)) changedItems.add(item);
+				mutation.addedNodes.forEach(node => {
+					if (!node.instanceOf(HTMLElement)) return;
+					if (node.matches(itemSelector)) changedItems.add(node);
+					node.querySelectorAll<HTMLElement>(itemSelector).forEach(el => changedItems.add(el));
+				});
+			}
+			changedItems.forEach(item => this.applyItemDirection(item));
+		} catch (error) {
+			console.error("Error in handleItemMutation:", error);
+		}
+	}
+
+	handleOverlayMutation(mutations: MutationRecord[], observer: MutationObserver) {
+		try {
+			const overlays = UI_CONTAINERS.filter(container => container.scope === 'overlay');
+			const changedOverlays = new Set<HTMLElement>();
+			for (const mutation of mutations) {
+				if (this.observedOverlayRoots.has(mutation.target as Element)) {
+					mutation.addedNodes.forEach(node => {
+						if (!node.instanceOf(HTMLElement)) return;
+						overlays.forEach(container => {
+							const selector = (container.selectors ?? []).join(', ');
+							if (!selector) return;
+							const matches = Array.from(node.querySelectorAll<HTMLElement>(selector));
+							if (node.matches(selector)) matches.unshift(node);
+							matches.forEach(el => this.applyUiContainerDirection(el, container));
+						});
+					});
+				} else {
+					const target = mutation.target.instanceOf(HTMLElement) ? mutation.target : mutation.target.parentElement;
+					const overlay = target?.closest<HTMLElement>('[data-rtl-container]');
+					if (overlay) changedOverlays.add(overlay);
+				}
+			}
+			changedOverlays.forEach(el => {
+				const container = overlays.find(c => c.key === el.dataset.rtlContainer);
+				if (container) this.applyUiContainerDirection(el, container);
+			});
+		} catch (error) {
+			console.error("Error in handleOverlayMutation:", error);
+		}
+	}
+
+	manageObserver(observer: MutationObserver | null, element: HTMLElement | null, shouldObserve: boolean, observedSet: Set<Element>, logName: string) {
+		if (!observer || !element) return;
+		try {
+			if (shouldObserve) {
+				if (!observedSet.has(element)) {
+					observer.observe(element, { childList: true, subtree: true, characterData: true });
+					observedSet.add(element);
+				}
+			} else {
+				// If it shouldn't be observed but is in the set, it will be removed by cleanupOldObservers.
+				// No direct unobserve for single element from shared observer.
+			}
+		} catch (e) {
+			console.error(`Error managing observer for ${logName}:`, e);
+		}
+	}
+
+	cleanupOldObservers(observer: MutationObserver | null, observedSet: Set<Element>, currentElementsToObserve: Set<Element>) {
+		if (!observer) return;
+		try {
+			const newObservedSet = new Set<Element>();
+			observedSet.forEach(el => {
+				if (el.isConnected && currentElementsToObserve.has(el)) { // Check if still in DOM (of any window) and in current set
+					newObservedSet.add(el);
+				}
+			});
+
+			if (newObservedSet.size === 0 && observedSet.size > 0) {
+				observer.disconnect();
+			}
+			observedSet.clear();
+			newObservedSet.forEach(el => observedSet.add(el));
+		} catch (e) {
+			console.error("Error cleaning up observers:", e);
+		}
+	}
+
+	applyDirectionToElement(element: HTMLElement | null, direction: DirectionSetting, containerName?: string, detectScript = false) {
+		if (!element) {
+			if (containerName) console.warn(`Element not found for ${containerName}`);
+			return;
+		}
+		if (!element.isConnected) { // isConnected also covers elements in pop-out windows
+			// console.warn(`Element for ${containerName} is not in DOM, skipping application.`);
+			return;
+		}
+
+		try {
+			this.setDirectionAttributes(element, direction, detectScript);
+		} catch (e) {
+			console.error(`Error applying direction to ${containerName || 'element'}:`, e);
+		}
+	}
+
+	/**
+	 * Removes the direction attributes and mode classes this plugin wrote onto an element.
+	 */
+	clearDirectionAttributes(element: HTMLElement) {
+		element.classList.remove('ltr-mode', 'rtl-mode', 'auto-mode', 'auto-detect-direction');
+		element.removeAttribute('data-direction');
+		element.removeAttribute('data-effective-direction');
+		element.removeAttribute('data-rtl-container');
+		element.removeAttribute('data-rtl-script');
+	}
+
+	/**
+	 * Writes the direction attributes and mode classes onto an element, detecting the
+	 * effective direction from its text for 'auto'. Unlike applyDirectionToElement this
+	 * also works on detached elements, such as sections handed to the post-processor.
+	 * @param detectScript Whether an RTL element set to a fixed direction is detected for its typography script.
+	 * Only for small elements (sections, cards); 'auto' elements reuse their direction detection.
+	 */
+	setDirectionAttributes(element: HTMLElement, direction: DirectionSetting, detectScript = false) {
+		element.dataset.direction = direction;
+		element.classList.remove('ltr-mode', 'rtl-mode', 'auto-mode', 'auto-detect-direction');
+		element.removeAttribute('data-effective-direction');
+
+		let effectiveDirection = direction;
+		let detection: DirectionDetection | null = null;
+
+		if (direction === 'auto') {
+			element.classList.add('auto-detect-direction');
+			if (this.settings.enableAdvancedTextDetection) {
+				detection = this.detect(element.textContent || "");
+				const detectedDir = detection.direction === 'rtl' ? 'rtl' : 'ltr';
+				effectiveDirection = detectedDir;
+				element.dataset.effectiveDirection = detectedDir;
+			} else {
+				effectiveDirection = this.settings.globalDefaultDirection === 'auto' ? 'ltr' : this.settings.globalDefaultDirection;
+				element.dataset.effectiveDirection = effectiveDirection;
+			}
+		} else {
+			element.dataset.effectiveDirection = direction;
+		}
+		element.classList.add(`${effectiveDirection}-mode`);
+		if (effectiveDirection === 'rtl' && !detection && detectScript && this.hasTypography()) detection = this.detect(element.textContent || "");
+		this.setScriptAttribute(element, effectiveDirection === 'rtl' ? detection : null);
+	}
+
+	/**
+	 * Returns the valid typography values, as the body classes that enable their rules in styles.css
+	 * (`intelligent-rtl-<script>-<property>`) and the CSS properties holding them (`--intelligent-rtl-<script>-<property>`).
+	 */
+	getTypographyValues(): { className: string; property: string; value: string }[] {
+		const values: { className: string; property: string; value: string }[] = [];
+		(Object.entries(this.settings.typography) as [TypographyScript, ScriptTypography][]).forEach(([script, typography]) => {
+			TYPOGRAPHY_PROPERTIES.forEach(({ key, cssProperty }) => {
+				const value = typography[key].trim();
+				// Invalid values are left out rather than breaking the declaration that uses them.
+				if (!value || !CSS.supports(cssProperty, value)) return;
+				values.push({ className: `intelligent-rtl-${script}-${cssProperty}`, property: `--intelligent-rtl-${script}-${cssProperty}`, value });
+			});
+		});
+		return values;
+	}
+
+	/**
+	 * Whether any script group has a valid typography value, i.e. whether RTL elements need their script marked.
+	 */
+	hasTypography(): boolean {
+		return this.getTypographyValues().length > 0;
+	}
+
+	/**
+	 * Adds the body classes of the typography values that are set, and removes the others, in every window.
+	 * Rules of unset values are not applied at all, so the theme keeps its own sizes and fonts.
+	 */
+	applyTypographyClasses() {
+		const active = new Set(this.getTypographyValues().map(({ className }) => className));
+		this.getWorkspaceDocuments().forEach(doc => TYPOGRAPHY_CLASSES.forEach(className => doc.body.toggleClass(className, active.has(className))));
+	}
+
+	/**
+	 * Marks an RTL element with the script group of its text (`data-rtl-script`), which the stylesheet maps
+	 * to the typography settings. Other elements, or all of them when no typography is set, lose the mark.
+	 * @param detection The detection of the element's text, or null for elements that are not RTL.
+	 */
+	setScriptAttribute(element: HTMLElement, detection: Pick<DirectionDetection, 'counts' | 'scripts'> | null) {
+		const script = detection && this.hasTypography() ? getTypographyScript(detection) : null;
+		if (script) {
+			if (element.dataset.rtlScript !== script) element.dataset.rtlScript = script;
+		} else if (element.hasAttribute('data-rtl-script')) {
+			element.removeAttribute('data-rtl-script');
+		}
+	}
+
+	async loadSettings() {
+		const data = await this.loadData() ?? {};
+		this.settings = Object.assign({}, structuredClone(DEFAULT_SETTINGS), data);
+		// Containers added to the registry since the last save get their default direction.
+		this.settings.containers = Object.assign({}, structuredClone(DEFAULT_SETTINGS.containers), data.containers);
+		// Older versions stored some containers as top-level keys (leftSidebar, fileExplorer, ...).
+		const legacySettings = this.settings as unknown as Record<string, { direction?: ContainerDirectionSetting } | undefined>;
+		for (const container of UI_CONTAINERS) {
+			const legacy = legacySettings[container.key];
+			if (legacy?.direction && !data.containers?.[container.key]) {
+				this.settings.containers[container.key] = { direction: legacy.direction };
+			}
+			delete legacySettings[container.key];
+		}
+		// Profiles saved before they had ids get one, kept from now on.
+		this.settings.profiles.forEach(profile => {
+			if (!profile.id) profile.id = this.createProfileId();
+		});
+	}
+
+	async saveSettings() {
+		await this.saveData(this.settings);
+		this.applyAllUiSettings();
+		this.updateStatusBarIndicator(); // Rules and defaults may resolve differently now
+	}
+}
+
+class IntelligentRtlSettingTab extends PluginSettingTab {
+	plugin: IntelligentRtlPlugin;
+	/** Pattern of each direction rule as last saved, so leaving an unchanged field does not save again. */
+	savedRulePatterns: WeakMap<DirectionRule, string> = new WeakMap();
+	/** Typography settings as last saved, serialized, for the same reason. */
+	savedTypography = '';
+
+	constructor(app: App, plugin: IntelligentRtlPlugin) {
+		super(app, plugin);
+		this.plugin = plugin;
+	}
+
+	hide(): void {
+		// A pattern or typography value still being edited when the tab closes gets no blur event.
+		const rulesChanged = this.plugin.settings.directionRules.some(rule => rule.pattern !== this.savedRulePatterns.get(rule));
+		if (rulesChanged || this.hasUnsavedTypography()) {
+			this.plugin.saveSettings().catch(e => {
+				console.error("Error saving settings:", e);
+				new Notice("Could not save the settings (see console).");
+			});
+		}
+	}
+
+	/**
+	 * Whether the typography settings were edited since they were last saved, and marks them saved.
+	 */
+	hasUnsavedTypography(): boolean {
+		const typography = JSON.stringify(this.plugin.settings.typography);
+		if (typography === this.savedTypography) return false;
+		this.savedTypography = typography;
+		return true;
+	}
+
+	display(): void {
+		const {containerEl} = this;
+		containerEl.empty();
+		containerEl.createEl('h2', {text: 'Intelligent RTL Management Settings'});
+
+		new Setting(containerEl)
+			.setName('Global Default Direction')
+			.setDesc("Default text direction for elements set to 'Auto' or when no specific rule applies.")
+			.addDropdown(dropdown => dropdown
+				.addOption('ltr', 'LTR (Left-to-Right)')
+				.addOption('rtl', 'RTL (Right-to-Left)')
+				.addOption('auto', 'Auto (based on content or specific rules)')
+				.setValue(this.plugin.settings.globalDefaultDirection)
+				.onChange(async (value: DirectionSetting) => {
+					this.plugin.settings.globalDefaultDirection = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('Mirror Interface')
+			.setDesc('Flip the workspace chrome for right-to-left use: the ribbon and sidebars trade sides, tab strips, tab headers, view headers and the status bar run right to left, and sidebar toggles, back/forward buttons and folded chevrons point the other way. Text inside panes keeps the directions set below.')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.mirrorInterface)
+				.onChange(async (value) => {
+					this.plugin.settings.mirrorInterface = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('Enable Advanced Text Detection')
+			.setDesc("When 'Auto' is selected for a container, attempt to detect text direction from its content.")
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.enableAdvancedTextDetection)
+				.onChange(async (value) => {
+					this.plugin.settings.enableAdvancedTextDetection = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('Detection Strategy')
+			.setDesc("'First strong character' follows the first Hebrew, Arabic, Latin, etc. letter, like browsers do. 'RTL ratio' decides by the share of RTL letters in the text.")
+			.addDropdown(dropdown => dropdown
+				.addOption('first-strong', 'First strong character')
+				.addOption('ratio', 'RTL ratio')
+				.setValue(this.plugin.settings.detectionStrategy)
+				.onChange(async (value: DetectionStrategy) => {
+					this.plugin.settings.detectionStrategy = value;
+					await this.plugin.saveSettings();
+				}));
+
+		new Setting(containerEl)
+			.setName('RTL Ratio Threshold')
+			.setDesc("Share of RTL letters above which text is treated as RTL when the ratio decides (always with 'RTL ratio', or when no letter appears near the start).")
+			.addSlider(slider => slider
+				.setLimits(0.05, 0.95, 0.05)
+				.setValue(this.plugin.settings.rtlThreshold)
+				.setDynamicTooltip()
+				.onChange(async (value) => {
+					this.plugin.settings.rtlThreshold = value;
+					await this.plugin.saveSettings();
+				}));
+
+		containerEl.createEl('h3', {text: 'Per-Container Direction Settings'});
+		const contentContainers: { key: 'editor' | 'canvasCard'; name: string }[] = [
+			{ key: 'editor', name: 'Editor' },
+			{ key: 'canvasCard', name: 'Canvas Card' }
+		];
+		contentContainers.forEach(({ key, name }) => {
+			new Setting(containerEl)
+				.setName(name)
+				.setDesc(`Set text direction for the ${name}. 'Auto' uses global default or text detection.`)
+				.addDropdown(dropdown => dropdown
+					.addOption('ltr', 'LTR')
+					.addOption('rtl', 'RTL')
+					.addOption('auto', 'Auto')
+					.setValue(this.plugin.settings[key].direction)
+					.onChange(async (value: DirectionSetting) => {
+						this.plugin.settings[key].direction = value;
+						await this.plugin.saveSettings();
+					}));
+		});
+
+		UI_CONTAINERS.forEach(container => {
+			new Setting(containerEl)
+				.setName(container.name)
+				.setDesc(`Set text direction for the ${container.name}. 'Auto' uses global default or text detection; 'Inherit' leaves it to Obsidian.`)
+				.addDropdown(dropdown => dropdown
+					.addOption('ltr', 'LTR')
+					.addOption('rtl', 'RTL')
+					.addOption('auto', 'Auto')
+					.addOption('inherit', 'Inherit')
+					.setValue(this.plugin.settings.containers[container.key]?.direction ?? container.defaultDirection)
+					.onChange(async (value: ContainerDirectionSetting) => {
+						this.plugin.settings.containers[container.key] = { direction: value };
+						await this.plugin.saveSettings();
+					}));
+		});
+
+		this.displayDirectionRules(containerEl);
+		this.displayBidiIsolation(containerEl);
+
+		this.displayForcedDirections(containerEl);
+
+		containerEl.createEl('h3', {text: 'Lists'});
+		new Setting(containerEl)
+			.setName('Ordered List Numbers in RTL Text')
+			.setDesc('Marker style of numbered list items in RTL notes and paragraphs, in live preview and Reading view. Task checkboxes, callouts, blockquotes, fold arrows and indentation guides are mirrored in RTL text regardless.')
+			.addDropdown(dropdown => dropdown
+				.addOption('decimal', 'Western digits (1, 2, 3)')
+				.addOption('hebrew', 'Hebrew letters (א, ב, ג)')
+				.addOption('arabic-indic', 'Arabic-Indic digits (١, ٢, ٣)')
+				.addOption('persian', 'Persian digits (۱, ۲, ۳)')
+				.setValue(this.plugin.settings.listNumbering)
+				.onChange(async (value: ListNumberingStyle) => {
+					this.plugin.settings.listNumbering = value;
+					await this.plugin.saveSettings();
+				}));
+
+		this.displayTypography(containerEl);
+		this.displayNoteOverrideStorage(containerEl);
+		this.displayNewNoteLockIn(containerEl);
+
+		this.displayProfiles(containerEl);
+
+		new Setting(containerEl)
+			.setName('My Setting (Sample)')
+			.setDesc('This is a sample setting field, retained for reference.')
+			.addText(text => text
+				.setPlaceholder('Enter some text')
+				.setValue(this.plugin.settings.mySetting)
+				.onChange(async (value) => {
+					this.plugin.settings.mySetting = value;
+					await this.plugin.saveSettings();
+				}));
+	}
+
+	displayTypography(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'Typography'});
+		containerEl.createEl('p', {
+			text: "Font, size, line height and letter spacing of RTL text, in the editor, Reading view, canvas cards and the items of panes set to Auto. Each element uses the settings of the script most of its RTL letters belong to. Values are CSS values (e.g. 'Vazirmatn, sans-serif', '1.1em', '1.8', '0.02em'); leave a field empty to keep the theme's, and invalid values are ignored.",
+			cls: 'setting-item-description'
+		});
+		const scripts: { script: TypographyScript; name: string }[] = [
+			{ script: 'hebrew', name: 'Hebrew' },
+			{ script: 'arabic', name: 'Arabic, Persian and Urdu' },
+			{ script: 'other', name: 'Other RTL scripts (Syriac, Thaana, N\'Ko...)' }
+		];
+		this.savedTypography = JSON.stringify(this.plugin.settings.typography);
+		scripts.forEach(({ script, name }) => {
+			containerEl.createEl('h4', {text: name});
+			const typography = this.plugin.settings.typography[script];
+			TYPOGRAPHY_PROPERTIES.forEach(({ key, cssProperty, name: propertyName }) => {
+				const setting = new Setting(containerEl).setName(propertyName);
+				const describe = (value: string) => setting.setDesc(value.trim() && !CSS.supports(cssProperty, value.trim()) ? `Not a valid ${cssProperty} value; the theme's is used.` : '');
+				describe(typography[key]);
+				// Saving re-renders every Reading view, so it waits until the field is left.
+				setting.addText(text => {
+					text.setPlaceholder('Theme default')
+						.setValue(typography[key])
+						.onChange(value => {
+							typography[key] = value;
+							describe(value);
+						});
+					text.inputEl.addEventListener('blur', async () => {
+						if (this.hasUnsavedTypography()) await this.plugin.saveSettings();
+					});
+				});
+			});
+		});
+	}
+
+	displayNoteOverrideStorage(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'Note Overrides'});
+		new Setting(containerEl)
+			.setName('Override Storage')
+			.setDesc("Where the direction set for a note is written. 'Plugin data' keeps notes untouched (no YAML changes to sync or commit); overrides follow renames and are removed with their notes. Overrides already in the other place still apply until they are moved.")
+			.addDropdown(dropdown => dropdown
+				.addOption('frontmatter', "Frontmatter ('direction' key)")
+				.addOption('store', 'Plugin data')
+				.addOption('both', 'Both')
+				.setValue(this.plugin.settings.directionStorage)
+				.onChange(async (value: DirectionStorageMode) => {
+					this.plugin.settings.directionStorage = value;
+					await this.plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName('Move Existing Overrides')
+			.setDesc(`${Object.keys(this.plugin.settings.noteDirections).length} overrides are kept in the plugin data.`)
+			.addButton(button => button
+				.setButtonText('Frontmatter → plugin data')
+				.onClick(async () => {
+					await this.plugin.migrateNoteDirections('store');
+					this.display();
+				}))
+			.addButton(button => button
+				.setButtonText('Plugin data → frontmatter')
+				.onClick(async () => {
+					await this.plugin.migrateNoteDirections('frontmatter');
+					this.display();
+				}));
+		new Setting(containerEl)
+			.setName('Import From Other Plugins')
+			.setDesc("Find the per-note directions kept by other RTL plugins in their data (such as a 'fileDirections' list) and in alias frontmatter keys ('dir', 'text-direction', 'rtl: true'), review them, and write them as overrides. Alias keys are read as overrides even without importing.")
+			.addButton(button => button
+				.setButtonText('Find directions...')
+				.onClick(async () => await this.plugin.openDirectionImport()));
+	}
+
+	displayNewNoteLockIn(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'New Notes'});
+		const lockIn = this.plugin.settings.newNoteLockIn;
+		new Setting(containerEl)
+			.setName('Lock In Direction of New Notes')
+			.setDesc("Once a note you create in this window (notes from sync, git or other plugins are left alone) has enough text for a confident detection, write its direction into the 'direction' frontmatter key, so it no longer depends on detection while you type. Notes that get a 'direction' key from their template keep it.")
+			.addDropdown(dropdown => dropdown
+				.addOption('off', 'Off')
+				.addOption('auto', 'Write automatically')
+				.addOption('prompt', 'Ask in a notice')
+				.setValue(lockIn.mode)
+				.onChange(async (value: NewNoteLockInMode) => {
+					lockIn.mode = value;
+					await this.plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName('Minimum Letters')
+			.setDesc('Letters the note body needs before its detected direction is locked in.')
+			.addSlider(slider => slider
+				.setLimits(5, 200, 5)
+				.setValue(lockIn.minLetters)
+				.setDynamicTooltip()
+				.onChange(async (value) => {
+					lockIn.minLetters = value;
+					await this.plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName('Minimum Confidence')
+			.setDesc('Share of letters that must agree with the detected direction.')
+			.addSlider(slider => slider
+				.setLimits(0.5, 1, 0.05)
+				.setValue(lockIn.minConfidence)
+				.setDynamicTooltip()
+				.onChange(async (value) => {
+					lockIn.minConfidence = value;
+					await this.plugin.saveSettings();
+				}));
+		new Setting(containerEl)
+			.setName('Use Matching Rule')
+			.setDesc("Lock in the direction of the first direction rule matching the new note (its folder, or the tags and language its template adds) instead of waiting for detection. Rules set to Auto still wait for detection.")
+			.addToggle(toggle => toggle
+				.setValue(lockIn.useRuleDirection)
+				.onChange(async (value) => {
+					lockIn.useRuleDirection = value;
+					await this.plugin.saveSettings();
+				}));
+	}
+
+	displayDirectionRules(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'Direction Rules'});
+		containerEl.createEl('p', {
+			text: "Rules give a direction to notes without a 'direction' frontmatter key. They are evaluated from top to bottom and the first match wins; notes matching no rule use the Editor setting. " +
+				"Folder: a folder path or glob (e.g. 'Hebrew/**'). Tag: a tag, including its nested tags. File name: a regular expression. " +
+				"Language: comma-separated codes matched against the 'lang'/'language' frontmatter key (empty = all RTL languages: " + RTL_LANGUAGE_CODES.join(', ') + ").",
+			cls: 'setting-item-description'
+		});
+
+		const rules = this.plugin.settings.directionRules;
+		rules.forEach((rule, index) => {
+			let patternInput: TextComponent | null = null;
+			let errorEl: HTMLElement | null = null;
+			// Shown while typing; the rule itself is only saved when the field loses focus.
+			const showPatternState = () => {
+				if (!patternInput || !errorEl) return;
+				const error = getRulePatternError(rule);
+				patternInput.setPlaceholder(RULE_PATTERN_PLACEHOLDERS[rule.matcher]);
+				patternInput.inputEl.toggleClass('intelligent-rtl-invalid', error !== null);
+				patternInput.inputEl.setAttribute('aria-invalid', String(error !== null));
+				errorEl.setText(error ?? '');
+				errorEl.toggle(error !== null);
+			};
+			new Setting(containerEl)
+				.setClass('intelligent-rtl-rule')
+				.addToggle(toggle => toggle
+					.setTooltip('Enabled')
+					.setValue(rule.enabled)
+					.onChange(async (value) => {
+						rule.enabled = value;
+						await this.plugin.saveSettings();
+					}))
+				.addDropdown(dropdown => dropdown
+					.addOption('folder', 'Folder')
+					.addOption('tag', 'Tag')
+					.addOption('filename', 'File name')
+					.addOption('language', 'Language')
+					.setValue(rule.matcher)
+					.onChange(async (value: DirectionRuleMatcher) => {
+						rule.matcher = value;
+						showPatternState();
+						await this.plugin.saveSettings();
+					}))
+				.addText(text => {
+					patternInput = text;
+					text.setValue(rule.pattern)
+						.onChange(value => {
+							rule.pattern = value;
+							showPatternState();
+						});
+					text.inputEl.addEventListener('blur', async () => {
+						if (rule.pattern === this.savedRulePatterns.get(rule)) return;
+						this.savedRulePatterns.set(rule, rule.pattern);
+						await this.plugin.saveSettings();
+					});
+				})
+				.addDropdown(dropdown => dropdown
+					.addOption('ltr', 'LTR')
+					.addOption('rtl', 'RTL')
+					.addOption('auto', 'Auto')
+					.setValue(rule.direction)
+					.onChange(async (value: DirectionSetting) => {
+						rule.direction = value;
+						await this.plugin.saveSettings();
+					}))
+				.addExtraButton(button => button
+					.setIcon('arrow-up')
+					.setTooltip('Move up')
+					.setDisabled(index === 0)
+					.onClick(async () => {
+						[rules[index - 1], rules[index]] = [rules[index], rules[index - 1]];
+						await this.plugin.saveSettings();
+						this.display();
+					}))
+				.addExtraButton(button => button
+					.setIcon('arrow-down')
+					.setTooltip('Move down')
+					.setDisabled(index === rules.length - 1)
+					.onClick(async () => {
+						[rules[index], rules[index + 1]] = [rules[index + 1], rules[index]];
+						await this.plugin.saveSettings();
+						this.display();
+					}))
+				.addExtraButton(button => button
+					.setIcon('trash')
+					.setTooltip('Delete rule')
+					.onClick(async () => {
+						rules.splice(index, 1);
+						await this.plugin.saveSettings();
+						this.display();
+					}));
+			this.savedRulePatterns.set(rule, rule.pattern);
+			errorEl = containerEl.createDiv({ cls: 'intelligent-rtl-rule-error' });
+			showPatternState();
+		});
+
+		new Setting(containerEl)
+			.addButton(button => button
+				.setButtonText('Add rule')
+				.onClick(async () => {
+					rules.push({ matcher: 'folder', pattern: '', direction: 'rtl', enabled: true });
+					await this.plugin.saveSettings();
+					this.display();
+				}));
+	}
+
+	displayBidiIsolation(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'Inline Isolation'});
+		const isolation = this.plugin.settings.bidiIsolation;
+
+		new Setting(containerEl)
+			.setName('Isolate Inline Spans in RTL Text')
+			.setDesc("Give inline code, URLs, paths, links, emails and math inside RTL paragraphs their own direction (unicode-bidi: isolate), so punctuation and word order around them stay intact. Applies to the editor and Reading view.")
+			.addToggle(toggle => toggle
+				.setValue(isolation.enabled)
+				.onChange(async (value) => {
+					isolation.enabled = value;
+					await this.plugin.saveSettings();
+					this.display();
+				}));
+
+		new Setting(containerEl)
+			.setName('Show Bidi Control Characters')
+			.setDesc('Show invisible LRM, RLM, ALM, isolate and embedding characters as small labels in the editor. Insert them with the "Insert ..." and "Wrap selection in ..." commands, and remove stray ones with "Clean bidi control characters".')
+			.addToggle(toggle => toggle
+				.setValue(this.plugin.settings.showBidiControls)
+				.onChange(async (value) => {
+					this.plugin.settings.showBidiControls = value;
+					await this.plugin.saveSettings();
+				}));
+
+		if (!isolation.enabled) return;
+		const spanTypes: { type: InlineSpanType; name: string; desc: string }[] = [
+			{ type: 'code', name: 'Inline code', desc: '`code` spans.' },
+			{ type: 'math', name: 'Inline math', desc: '$math$ spans.' },
+			{ type: 'wikilink', name: 'Wikilinks', desc: '[[Note]] and ![[embed]] links.' },
+			{ type: 'url', name: 'URLs', desc: 'Bare URLs and external links.' },
+			{ type: 'email', name: 'Emails', desc: 'Email addresses.' },
+			{ type: 'path', name: 'File paths', desc: 'Paths such as src/main.js or C:\\notes\\file.md.' }
+		];
+		spanTypes.forEach(({ type, name, desc }) => {
+			new Setting(containerEl)
+				.setName(name)
+				.setDesc(desc)
+				.addToggle(toggle => toggle
+					.setValue(isolation.types[type])
+					.onChange(async (value) => {
+						isolation.types[type] = value;
+						await this.plugin.saveSettings();
+					}));
+		});
+	}
+
+	displayForcedDirections(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'Code, Math and Frontmatter'});
+		containerEl.createEl('p', {
+			text: "Direction kept by these blocks and spans whatever the direction of the note, in the editor and Reading view. 'Follow note' lets them take the direction of the surrounding text.",
+			cls: 'setting-item-description'
+		});
+		const targets: { target: ForcedDirectionTarget; name: string }[] = [
+			{ target: 'code', name: 'Code blocks' },
+			{ target: 'mermaid', name: 'Mermaid diagrams' },
+			{ target: 'math', name: 'Math blocks ($$)' },
+			{ target: 'frontmatter', name: 'Frontmatter and properties' },
+			{ target: 'inlineCode', name: 'Inline code' },
+			{ target: 'inlineMath', name: 'Inline math' }
+		];
+		targets.forEach(({ target, name }) => {
+			new Setting(containerEl)
+				.setName(name)
+				.addDropdown(dropdown => dropdown
+					.addOption('ltr', 'LTR')
+					.addOption('rtl', 'RTL')
+					.addOption('none', 'Follow note')
+					.setValue(this.plugin.settings.forcedDirections[target])
+					.onChange(async (value: ForcedDirection) => {
+						this.plugin.settings.forcedDirections[target] = value;
+						await this.plugin.saveSettings();
+					}));
+		});
+	}
+
+	displayProfiles(containerEl: HTMLElement): void {
+		containerEl.createEl('h3', {text: 'Profiles'});
+		containerEl.createEl('p', {
+			text: "A profile saves the direction settings above (defaults, containers, detection, rules and isolation). " +
+				"Each profile gets a 'Switch to settings profile' command that can be bound to a hotkey.",
+			cls: 'setting-item-description'
+		});
+
+		this.plugin.settings.profiles.forEach(profile => {
+			const isActive = profile.name === this.plugin.settings.activeProfile;
+			new Setting(containerEl)
+				.setName(profile.name)
+				.setDesc(isActive ? 'Active profile' : '')
+				.addButton(button => button
+					.setButtonText('Switch')
+					.setDisabled(isActive)
+					.onClick(async () => {
+						await this.plugin.switchProfile(profile.name);
+						this.display();
+					}))
+				.addExtraButton(button => button
+					.setIcon('save')
+					.setTooltip('Overwrite with current settings')
+					.onClick(async () => {
+						await this.plugin.saveProfile(profile.name);
+						this.display();
+					}))
+				.addExtraButton(button => button
+					.setIcon('upload')
+					.setTooltip('Export as JSON')
+					.onClick(() => new ProfileJsonModal(this.app, this.plugin, profile).open()))
+				.addExtraButton(button => button
+					.setIcon('trash')
+					.setTooltip('Delete profile')
+					.onClick(async () => {
+						await this.plugin.deleteProfile(profile.name);
+						this.display();
+					}));
+		});
+
+		let newProfileName = '';
+		new Setting(containerEl)
+			.setName('Save current settings as profile')
+			.addText(text => text
+				.setPlaceholder('Profile name')
+				.onChange(value => newProfileName = value))
+			.addButton(button => button
+				.setButtonText('Save')
+				.setCta()
+				.onClick(async () => {
+					await this.plugin.saveProfile(newProfileName);
+					this.display();
+				}))
+			.addButton(button => button
+				.setButtonText('Import')
+				.onClick(() => new ProfileJsonModal(this.app, this.plugin, null, () => this.display()).open()));
+	}
+}
+
+/**
+ * Public API for other plugins (templating, query views, exporters...).
+ *
+ * ```ts
+ * const rtl = app.plugins.plugins['hebrew-rtl-support']?.api;
+ * const dir = await rtl?.getEffectiveDirection(file); // 'rtl' | 'ltr'
+ * ```
+ */
+class IntelligentRtlApi {
+	/** Name of the workspace event fired when a note's resolved direction changes. */
+	readonly directionChangedEvent = DIRECTION_CHANGED_EVENT;
+	private plugin: IntelligentRtlPlugin;
+
+	constructor(plugin: IntelligentRtlPlugin) {
+		this.plugin = plugin;
+	}
+
+	/**
+	 * Returns the direction setting of a note ('auto' included) and which step of the resolution chain decided it.
+	 */
+	getNoteDirection(file: TFile): ResolvedDirection {
+		return this.plugin.resolveNoteDirectionDetails(file);
+	}
+
+	/**
+	 * Returns the concrete direction of a note or element.
+	 * Notes resolved to 'auto' are detected from their content. Elements use the nearest direction
+	 * applied by this plugin, or are detected from their text.
+	 */
+	async getEffectiveDirection(target: TFile | HTMLElement): Promise<'rtl' | 'ltr'> {
+		if (target instanceof TFile) {
+			const direction = this.plugin.resolveNoteDirection(target);
+			if (direction !== 'auto') return direction;
+			return this.plugin.detectNoteDirection(target);
+		}
+		const holder = target.closest('[data-effective-direction], [dir]') as HTMLElement | null;
+		const applied = holder?.getAttribute('dir') ?? holder?.dataset.effectiveDirection;
+		if (applied === 'rtl' || applied === 'ltr') return applied;
+		return this.plugin.detectTextDirection(target.textContent || "") ?? 'ltr';
+	}
+
+	/**
+	 * Runs the detector with the user's detection settings.
+	 */
+	detect(text: string): DirectionDetection {
+		return this.plugin.detect(text);
+	}
+
+	/**
+	 * Sets (or clears, for null) a note's direction override, without a confirmation Notice. A failed write is still reported to the user.
+	 */
+	async setNoteDirection(file: TFile, direction: DirectionSetting | null): Promise<void> {
+		await this.plugin.setNoteDirection(direction, file, false);
+	}
+
+	/**
+	 * Applies a direction to an element the way the plugin does (attributes and mode classes).
+	 * Works on detached elements too, e.g. in a renderer before insertion.
+	 */
+	applyTo(element: HTMLElement, direction: DirectionSetting): void {
+		this.plugin.setDirectionAttributes(element, direction);
+	}
+
+	/**
+	 * Subscribes to direction changes. Pass the returned reference to `registerEvent` or `app.workspace.offref`.
+	 */
+	onDirectionChanged(callback: (event: DirectionChangedEvent) => void): EventRef {
+		return (this.plugin.app.workspace as Events).on(DIRECTION_CHANGED_EVENT, callback as (...data: unknown[]) => unknown);
+	}
+}
+
+/**
+ * Lets the user pick a folder (or the whole vault) to scan.
+ */
+class FolderSuggestModal extends FuzzySuggestModal<TFolder> {
+	onChoose: (folder: TFolder) => void;
+
+	constructor(app: App, onChoose: (folder: TFolder) => void) {
+		super(app);
+		this.onChoose = onChoose;
+		this.setPlaceholder('Choose a folder to scan');
+	}
+
+	getItems(): TFolder[] {
+		return this.app.vault.getAllLoadedFiles().filter((file): file is TFolder => file instanceof TFolder);
+	}
+
+	getItemText(folder: TFolder): string {
+		return folder.isRoot() ? 'Entire vault' : folder.path;
+	}
+
+	onChooseItem(folder: TFolder): void {
+		this.onChoose(folder);
+	}
+}
+
+/**
+ * Lets the user pick a settings profile to switch to.
+ */
+class ProfileSuggestModal extends FuzzySuggestModal<DirectionProfile> {
+	profiles: DirectionProfile[];
+	onChoose: (profile: DirectionProfile) => void;
+
+	constructor(app: App, profiles: DirectionProfile[], onChoose: (profile: DirectionProfile) => void) {
+		super(app);
+		this.profiles = profiles;
+		this.onChoose = onChoose;
+		this.setPlaceholder('Choose a settings profile');
+	}
 
-	debounce<T extends (...args: any[]) => any>(func: T, delay: number): (...args: Parameters<T>) => void {
-		let timeoutId: number | null = null;
-		return (...args: Parameters<T>) => {
-			if (timeoutId !== null) window.clearTimeout(timeoutId);
-			timeoutId = window.setTimeout(() => func(...args), delay);
-		};
+	getItems(): DirectionProfile[] {
+		return this.profiles;
 	}
 
-	handleEditorMutationInner(mutations: MutationRecord[], observer: MutationObserver) {
-		// Performance: This handler is debounced.
-		// It processes mutations for observed editor content elements.
-		// Selector Stability: Relies on '.cm-content' for editor content area.
-		try {
-			const changedEditorElements: Set<Element> = new Set();
-			for (const mutation of mutations) {
-				let targetNode = mutation.target;
-				while (targetNode && targetNode !== document.body) { // Boundary condition
-					if (targetNode instanceof Element && targetNode.classList.contains('cm-content') && this.observedEditorElements.has(targetNode)) {
-						changedEditorElements.add(targetNode);
-						break;
-					}
-					targetNode = targetNode.parentNode;
-				}
-			}
+	getItemText(profile: DirectionProfile): string {
+		return profile.name;
+	}
 
-			changedEditorElements.forEach(editorContentElement => {
-				const activeFile = this.app.workspace.getActiveFile();
-				const owningLeaf = Array.from(this.app.workspace.getLeavesOfType(MarkdownView)).find(
-					l => l.view.containerEl && l.view.containerEl.querySelector('.cm-content') === editorContentElement
-				);
+	onChooseItem(profile: DirectionProfile): void {
+		this.onChoose(profile);
+	}
+}
 
-				if (!(activeFile && owningLeaf && owningLeaf.view.file === activeFile)) {
-					return; // Only process for the active editor linked to the active file
-				}
+/**
+ * Shows a profile as JSON to copy, or, without a profile, takes pasted JSON to import.
+ */
+class ProfileJsonModal extends Modal {
+	plugin: IntelligentRtlPlugin;
+	profile: DirectionProfile | null;
+	onImported?: () => void;
 
-				let userDirectionForThisEditor = this.settings.editor.direction;
-				if (this.activeNoteOverride !== null) {
-					userDirectionForThisEditor = this.activeNoteOverride;
-				}
+	constructor(app: App, plugin: IntelligentRtlPlugin, profile: DirectionProfile | null = null, onImported?: () => void) {
+		super(app);
+		this.plugin = plugin;
+		this.profile = profile;
+		this.onImported = onImported;
+	}
 
-				if (userDirectionForThisEditor === 'auto' && this.settings.enableAdvancedTextDetection) {
-					const textContent = editorContentElement.textContent || "";
-					const detectedDir = getBlockDirection(textContent);
-					const currentEffectiveDir = editorContentElement.getAttribute('data-effective-direction');
-					if (currentEffectiveDir !== detectedDir) {
-						editorContentElement.setAttribute('data-effective-direction', detectedDir);
-						editorContentElement.classList.remove('ltr-mode', 'rtl-mode');
-						editorContentElement.classList.add(`${detectedDir}-mode`);
-					}
-				}
-			});
-		} catch (error) {
-			console.error("Error in handleEditorMutationInner:", error);
+	onOpen() {
+		const {contentEl} = this;
+		const profile = this.profile;
+		this.titleEl.setText(profile ? `Export profile: ${profile.name}` : 'Import settings profile');
+		const textArea = contentEl.createEl('textarea', { cls: 'intelligent-rtl-profile-json' });
+		textArea.rows = 16;
+		textArea.spellcheck = false;
+		if (profile) {
+			textArea.value = JSON.stringify({ name: profile.name, settings: profile.settings }, null, 2);
+			textArea.readOnly = true;
+		} else {
+			textArea.placeholder = 'Paste an exported profile here';
 		}
-	}
 
-	handleCanvasMutation(mutations: MutationRecord[], observer: MutationObserver) {
-		// Performance: Not currently debounced. Consider if canvas interactions become very frequent.
-		try {
-			for (const mutation of mutations) {
-				if (mutation.type === 'childList') {
-					mutation.addedNodes.forEach(node => {
-						if (node instanceof HTMLElement && node.classList.contains('canvas-card')) {
-							const cardContent = node.querySelector('.canvas-card-content') || node.querySelector('.canvas-card-text') || node;
-							if (cardContent) {
-								this.applyDirectionToElement(cardContent as HTMLElement, this.settings.canvasCard.direction, 'new-canvas-card');
-								// applyDirectionToElement handles initial detection for 'auto' if enabled
-							}
-						}
+		new Setting(contentEl)
+			.addButton(button => {
+				if (profile) {
+					button.setButtonText('Copy to clipboard').setCta().onClick(async () => {
+						await navigator.clipboard.writeText(textArea.value);
+						new Notice(`Profile "${profile.name}" copied to the clipboard.`);
+					});
+				} else {
+					button.setButtonText('Import').setCta().onClick(async () => {
+						if (!await this.plugin.importProfile(textArea.value)) return;
+						this.onImported?.();
+						this.close();
 					});
 				}
-			}
-		} catch (error), {
-			console.error("Error in handleCanvasMutation:", error);
-		}
+			});
 	}
 
-	async handleFileOpen(file: import('obsidian').TFile | null) {
-		try {
-			if (file && file.extension === 'md') {
-				const fileCache = this.app.metadataCache.getFileCache(file);
-				const fm = fileCache?.frontmatter;
-				const directionFromFm = fm?.direction as DirectionSetting | undefined;
-				this.activeNoteOverride = (directionFromFm && ['ltr', 'rtl', 'auto'].includes(directionFromFm)) ? directionFromFm : null;
-			} else {
-				this.activeNoteOverride = null;
-			}
-		} catch (e) {
-			console.error("Error reading frontmatter:", e);
-			this.activeNoteOverride = null;
-		}
-		this.refreshActiveEditorDirection();
-		this.updateStatusBarIndicator();
+	onClose() {
+		this.contentEl.empty();
 	}
+}
 
-	clearActiveNoteOverrideAndRefreshEditor() {
-		const needsUpdate = this.activeNoteOverride !== null;
-		this.activeNoteOverride = null;
-		if (needsUpdate) this.refreshActiveEditorDirection();
-		this.updateStatusBarIndicator();
-	}
+/**
+ * Lists the result of a direction scan so each change can be accepted, edited or rejected before it is written.
+ */
+class DirectionScanModal extends Modal {
+	plugin: IntelligentRtlPlugin;
+	label: string;
+	entries: DirectionScanEntry[];
+	showUnchanged = false;
 
-	async updateNoteFrontmatterDirection(file: import('obsidian').TFile, direction: DirectionSetting | null) {
-		try {
-			await this.app.fileManager.processFrontMatter(file, (fm) => {
-				if (direction === null) delete fm.direction;
-				else fm.direction = direction;
-			});
-		} catch (e) {
-			console.error("Error updating frontmatter:", e);
-			new Notice("Error updating note direction in frontmatter.");
-		}
+	constructor(app: App, plugin: IntelligentRtlPlugin, label: string, entries: DirectionScanEntry[]) {
+		super(app);
+		this.plugin = plugin;
+		this.label = label;
+		this.entries = entries;
 	}
 
-	async setNoteDirection(direction: DirectionSetting | null) {
-		const activeFile = this.app.workspace.getActiveFile();
-		if (!activeFile || activeFile.extension !== 'md') {
-			new Notice(activeFile ? "Direction can only be set for Markdown files." : "No active file.");
-			return;
-		}
-		this.activeNoteOverride = direction;
-		await this.updateNoteFrontmatterDirection(activeFile, direction);
-		this.refreshActiveEditorDirection();
-		this.updateStatusBarIndicator();
-		new Notice(`Note direction ${direction ? 'set to ' + direction.toUpperCase() : 'override cleared'}.`);
+	onOpen() {
+		this.modalEl.addClass('intelligent-rtl-scan-modal');
+		this.titleEl.setText(`Note directions: ${this.label}`);
+		this.render();
 	}
 
-	refreshActiveEditorDirection() {
-		// Performance: Called on file open, leaf change, and after setting note direction.
-		// Targets only the active editor.
-		try {
-			const activeLeaf = this.app.workspace.getActiveViewOfType(MarkdownView);
-			if (activeLeaf && activeLeaf.view.file) {
-				const editorContentElement = activeLeaf.view.containerEl.querySelector('.cm-content') as HTMLElement | null;
-				if (editorContentElement) {
-					const directionToApply = this.activeNoteOverride || this.settings.editor.direction;
-					this.applyDirectionToElement(editorContentElement, directionToApply, `active-editor-${activeLeaf.view.file.basename}`);
-					if (directionToApply === 'auto' && this.settings.enableAdvancedTextDetection && this.editorMutationObserver && this.observedEditorElements.has(editorContentElement)) {
-						this.handleEditorMutationInner([{target: editorContentElement} as unknown as MutationRecord], this.editorMutationObserver);
-					}
-				}
-			}
-		} catch (e) {
-			console.error("Error refreshing active editor direction:", e);
-		}
+	onClose() {
+		this.contentEl.empty();
 	}
 
-	updateStatusBarIndicator() {
-		if (!this.statusBarItemEl) return;
-		try {
-			const activeFile = this.app.workspace.getActiveFile();
-			let text = 'Dir: N/A';
-			let ariaLabel = 'Note text direction: Not applicable';
-			if (activeFile && activeFile.extension === 'md') {
-				const currentDir = this.activeNoteOverride || this.settings.editor.direction;
-				const type = this.activeNoteOverride ? 'Note' : 'Default';
-				text = `Dir: ${currentDir.toUpperCase()} (${type})`;
-				ariaLabel = `Note text direction: ${currentDir.toUpperCase()} (${type})`;
-			}
-			this.statusBarItemEl.setText(text);
-			this.statusBarItemEl.setAttribute('aria-label', ariaLabel);
-		} catch (e) {
-			console.error("Error updating status bar:", e);
-		}
-	}
+	render() {
+		const {contentEl} = this;
+		contentEl.empty();
 
-	applyAllUiSettings() {
-		// Performance: Iterates all leaves and UI components. Called on load and global settings change.
-		// Selector Stability: Relies on Obsidian's DOM structure. Prone to breakage with updates.
-		console.log("Applying all UI settings...", this.settings);
-		try {
-			const currentEditorCMContentElements = new Set<Element>();
-			const currentCanvasViewContentElements = new Set<Element>(); // Tracks .canvas-nodes elements
+		const changed = this.entries.filter(entry => entry.proposed !== entry.current);
+		contentEl.createEl('p', {
+			text: `${this.entries.length} notes scanned, ${changed.length} with a detected direction different from their frontmatter.`,
+			cls: 'setting-item-description'
+		});
 
-			this.app.workspace.iterateAllLeaves(leaf => {
-				try {
-					if (leaf.view instanceof MarkdownView) {
-						const editorCMContent = leaf.view.containerEl.querySelector('.cm-content') as HTMLElement | null;
-						if (editorCMContent) {
-							currentEditorCMContentElements.add(editorCMContent);
-							let dir = this.settings.editor.direction;
-							const activeFile = this.app.workspace.getActiveFile();
-							if (activeFile && leaf.view.file === activeFile && this.activeNoteOverride !== null) {
-								dir = this.activeNoteOverride;
-							}
-							this.applyDirectionToElement(editorCMContent, dir, `editor-${leaf.id}`);
-							this.manageObserver(this.editorMutationObserver, editorCMContent, dir === 'auto' && this.settings.enableAdvancedTextDetection, this.observedEditorElements, `editor-${leaf.id}`);
-						}
-					} else if (leaf.view.getViewType() === 'canvas') {
-						const canvasViewContainer = leaf.view.containerEl;
-						const canvasNodesElement = canvasViewContainer.querySelector('.canvas-nodes') as HTMLElement | null; // Target for new cards
-						if (canvasNodesElement) {
-							currentCanvasViewContentElements.add(canvasNodesElement);
-							// Observe .canvas-nodes for child changes (new cards)
-							// The direction setting for the observer itself is less critical than for individual cards.
-							// We observe if canvasCard setting is 'auto' OR just always observe if canvasObserver exists.
-							// Let's observe if canvasCard setting might lead to 'auto' cards.
-							this.manageObserver(this.canvasObserver, canvasNodesElement, true, this.observedCanvasContainers, `canvas-nodes-${leaf.id}`);
-						}
-						const cards = canvasViewContainer.querySelectorAll('.canvas-card');
-						cards.forEach((card, index) => {
-							const cardContent = card.querySelector('.canvas-card-content') || card.querySelector('.canvas-card-text') || card;
-							if (cardContent) this.applyDirectionToElement(cardContent as HTMLElement, this.settings.canvasCard.direction, `canvas-card-${leaf.id}-${index}`);
-						});
-					}
-				} catch (e) {
-					console.error(`Error processing leaf ${leaf.id} in applyAllUiSettings:`, e);
-				}
-			});
+		new Setting(contentEl)
+			.setName('Show unchanged notes')
+			.addToggle(toggle => toggle
+				.setValue(this.showUnchanged)
+				.onChange(value => {
+					this.showUnchanged = value;
+					this.render();
+				}))
+			.addButton(button => button
+				.setButtonText('Select all')
+				.onClick(() => this.setAllAccepted(true)))
+			.addButton(button => button
+				.setButtonText('Select none')
+				.onClick(() => this.setAllAccepted(false)));
 
-			this.cleanupOldObservers(this.editorMutationObserver, this.observedEditorElements, currentEditorCMContentElements);
-			this.cleanupOldObservers(this.canvasObserver, this.observedCanvasContainers, currentCanvasViewContentElements);
+		const visible = this.showUnchanged ? this.entries : changed;
+		const tableContainer = contentEl.createDiv({ cls: 'intelligent-rtl-scan-table-container' });
+		const table = tableContainer.createEl('table', { cls: 'intelligent-rtl-scan-table' });
+		const header = table.createEl('thead').createEl('tr');
+		['', 'Note', 'Detected', 'Current', 'New value'].forEach(title => header.createEl('th', { text: title }));
+		const body = table.createEl('tbody');
+		visible.forEach(entry => {
+			const row = body.createEl('tr');
+			const checkbox = row.createEl('td').createEl('input', { type: 'checkbox' });
+			checkbox.checked = entry.accepted;
+			checkbox.addEventListener('change', () => {
+				entry.accepted = checkbox.checked;
+				this.updateApplyButton();
+			});
+			row.createEl('td', { text: entry.file.path });
+			const { direction, confidence } = entry.detection;
+			row.createEl('td', { text: direction === 'neutral' ? 'No text' : `${direction.toUpperCase()} (${Math.round(confidence * 100)}%)` });
+			row.createEl('td', { text: entry.current ?? '—' });
+			const select = row.createEl('td').createEl('select', { cls: 'dropdown' });
+			[['', 'None (remove)'], ['ltr', 'LTR'], ['rtl', 'RTL'], ['auto', 'Auto']].forEach(([value, text]) => {
+				select.createEl('option', { value, text });
+			});
+			select.value = entry.proposed ?? '';
+			select.addEventListener('change', () => {
+				entry.proposed = (select.value || null) as DirectionSetting | null;
+				entry.accepted = true;
+				checkbox.checked = true;
+				this.updateApplyButton();
+			});
+		});
 
-			// Other UI elements
-			this.applyDirectionToElement(this.app.workspace.leftSplit.containerEl, this.settings.leftSidebar.direction, 'left-sidebar');
-			this.applyDirectionToElement(this.app.workspace.rightSplit.containerEl, this.settings.rightSidebar.direction, 'right-sidebar');
-			this.app.workspace.iterateAllLeaves(leaf => {
-				try {
-					const viewType = leaf.view.getViewType();
-					let targetElement: HTMLElement | null = leaf.view.containerEl; // Default to whole container
-					switch (viewType) {
-						case 'file-explorer':
-							targetElement = leaf.view.containerEl.querySelector('.nav-files-container') as HTMLElement | null || targetElement;
-							this.applyDirectionToElement(targetElement, this.settings.fileExplorer.direction, 'file-explorer');
-							break;
-						case 'search':
-							targetElement = leaf.view.containerEl.querySelector('.search-results-container') as HTMLElement | null || targetElement;
-							this.applyDirectionToElement(targetElement, this.settings.searchResults.direction, 'search-results');
-							break;
-						case 'tag':
-							targetElement = leaf.view.containerEl.querySelector('.tag-pane-tags') as HTMLElement | null ||
-											leaf.view.containerEl.querySelector('.view-content') as HTMLElement | null ||
-											targetElement;
-							this.applyDirectionToElement(targetElement, this.settings.tagPane.direction, 'tag-pane');
-							break;
-					}
-				} catch (e) {
-					console.error(`Error processing non-editor/canvas leaf ${leaf.id} for other UI parts:`, e);
-				}
+		new Setting(contentEl)
+			.addButton(button => button
+				.setButtonText('Cancel')
+				.onClick(() => this.close()))
+			.addButton(button => {
+				button.setCta().onClick(async () => {
+					const accepted = this.getAcceptedEntries();
+					this.close();
+					await this.plugin.applyDirectionBatch(this.label, accepted.map(entry => ({ file: entry.file, next: entry.proposed })));
+				});
+				button.buttonEl.addClass('intelligent-rtl-scan-apply');
 			});
-		} catch (error) {
-			console.error("Fatal error in applyAllUiSettings:", error);
-		}
-		if (this.settings.enableAdvancedTextDetection) console.log("Advanced text detection enabled.");
-		console.log("Finished applying UI settings.");
+		this.updateApplyButton();
 	}
 
-	manageObserver(observer: MutationObserver | null, element: HTMLElement | null, shouldObserve: boolean, observedSet: Set<Element>, logName: string) {
-		if (!observer || !element) return;
-		try {
-			if (shouldObserve) {
-				if (!observedSet.has(element)) {
-					observer.observe(element, { childList: true, subtree: true, characterData: true });
-					observedSet.add(element);
-					if (logName.startsWith('editor-') && element.classList.contains('cm-content')) { // Ensure it's cm-content for editors
-						this.handleEditorMutationInner([{ target: element } as unknown as MutationRecord], observer);
-					}
-				}
-			} else {
-				// If it shouldn't be observed but is in the set, it will be removed by cleanupOldObservers.
-				// No direct unobserve for single element from shared observer.
-			}
-		} catch (e) {
-			console.error(`Error managing observer for ${logName}:`, e);
-		}
+	getAcceptedEntries(): DirectionScanEntry[] {
+		return this.entries.filter(entry => entry.accepted && entry.proposed !== entry.current);
 	}
 
-	cleanupOldObservers(observer: MutationObserver | null, observedSet: Set<Element>, currentElementsToObserve: Set<Element>) {
-		if (!observer) return;
-		try {
-			const newObservedSet = new Set<Element>();
-			observedSet.forEach(el => {
-				if (document.body.contains(el) && currentElementsToObserve.has(el)) { // Check if still in DOM and in current set
-					newObservedSet.add(el);
-				}
-			});
+	setAllAccepted(accepted: boolean) {
+		const visible = this.showUnchanged ? this.entries : this.entries.filter(entry => entry.proposed !== entry.current);
+		visible.forEach(entry => entry.accepted = accepted);
+		this.render();
+	}
 
-			if (newObservedSet.size === 0 && observedSet.size > 0) {
-				observer.disconnect();
-			}
-			observedSet.clear();
-			newObservedSet.forEach(el => observedSet.add(el));
-		} catch (e) {
-			console.error("Error cleaning up observers:", e);
-		}
+	updateApplyButton() {
+		const button = this.contentEl.querySelector('.intelligent-rtl-scan-apply') as HTMLButtonElement | null;
+		if (!button) return;
+		const count = this.getAcceptedEntries().length;
+		button.setText(`Apply ${count} change${count === 1 ? '' : 's'}`);
+		button.disabled = count === 0;
 	}
+}
 
-	applyDirectionToElement(element: HTMLElement | null, direction: DirectionSetting, containerName?: string) {
-		if (!element) {
-			if (containerName) console.warn(`Element not found for ${containerName}`);
-			return;
-		}
-		if (!document.body.contains(element)) {
-			// console.warn(`Element for ${containerName} is not in DOM, skipping application.`);
-			return;
+/**
+ * Summary of the directions found in other RTL plugins and alias frontmatter keys, with the notes to import.
+ */
+class DirectionImportModal extends Modal {
+	plugin: IntelligentRtlPlugin;
+	entries: DirectionImportEntry[];
+	sources: DirectionImportSource[];
+	skipped: number;
+	conflicts: number;
+	/** Whether imported alias keys are removed from the notes, off by default where notes are not written. */
+	removeAliases: boolean;
+
+	constructor(app: App, plugin: IntelligentRtlPlugin, result: { entries: DirectionImportEntry[]; sources: DirectionImportSource[]; skipped: number; conflicts: number }) {
+		super(app);
+		this.plugin = plugin;
+		this.entries = result.entries;
+		this.sources = result.sources;
+		this.skipped = result.skipped;
+		this.conflicts = result.conflicts;
+		this.removeAliases = plugin.settings.directionStorage !== 'store';
+	}
+
+	onOpen() {
+		this.modalEl.addClass('intelligent-rtl-scan-modal');
+		this.titleEl.setText('Import note directions');
+		const {contentEl} = this;
+		const storage = { frontmatter: "the 'direction' frontmatter key", store: 'the plugin data', both: "the 'direction' frontmatter key and the plugin data" }[this.plugin.settings.directionStorage];
+
+		contentEl.createEl('p', { text: 'Found in:', cls: 'setting-item-description' });
+		const list = contentEl.createEl('ul');
+		this.sources.forEach(source => {
+			list.createEl('li', { text: `${source.name}: ${source.found} note${source.found === 1 ? '' : 's'}${source.missing ? `, ${source.missing} missing` : ''}` });
+		});
+		const notes = [`${this.entries.length} notes to import into ${storage}.`];
+		if (this.skipped) notes.push(`${this.skipped} already have a direction of their own and keep it.`);
+		if (this.conflicts) notes.push(`${this.conflicts} entries disagree with an earlier source and are ignored (see console).`);
+		contentEl.createEl('p', { text: notes.join(' '), cls: 'setting-item-description' });
+
+		if (this.entries.length > 0) {
+			const tableContainer = contentEl.createDiv({ cls: 'intelligent-rtl-scan-table-container' });
+			const table = tableContainer.createEl('table', { cls: 'intelligent-rtl-scan-table' });
+			const header = table.createEl('thead').createEl('tr');
+			['', 'Note', 'Found in', 'Direction'].forEach(title => header.createEl('th', { text: title }));
+			const body = table.createEl('tbody');
+			this.entries.forEach(entry => {
+				const row = body.createEl('tr');
+				const checkbox = row.createEl('td').createEl('input', { type: 'checkbox' });
+				checkbox.checked = entry.accepted;
+				checkbox.addEventListener('change', () => {
+					entry.accepted = checkbox.checked;
+					this.updateImportButton();
+				});
+				row.createEl('td', { text: entry.file.path });
+				row.createEl('td', { text: entry.sources.join(', ') });
+				row.createEl('td', { text: entry.direction.toUpperCase() });
+			});
 		}
 
-		try {
-			element.dataset.direction = direction;
-			element.classList.remove('ltr-mode', 'rtl-mode', 'auto-mode', 'auto-detect-direction');
-			element.removeAttribute('data-effective-direction');
-
-			let effectiveDirection = direction;
-
-			if (direction === 'auto') {
-				element.classList.add('auto-detect-direction');
-				if (this.settings.enableAdvancedTextDetection) {
-					const textContent = element.textContent || "";
-					const detectedDir = getBlockDirection(textContent);
-					effectiveDirection = detectedDir;
-					element.dataset.effectiveDirection = detectedDir;
-				} else {
-					effectiveDirection = this.settings.globalDefaultDirection === 'auto' ? 'ltr' : this.settings.globalDefaultDirection;
-					element.dataset.effectiveDirection = effectiveDirection;
-				}
-			} else {
-				element.dataset.effectiveDirection = direction;
-			}
-			element.classList.add(`${effectiveDirection}-mode`);
-		} catch (e) {
-			console.error(`Error applying direction to ${containerName || 'element'}:`, e);
+		if (this.entries.some(entry => entry.sources.some(source => source.startsWith('Frontmatter (')))) {
+			new Setting(contentEl)
+				.setName('Remove alias keys')
+				.setDesc("Remove the 'dir', 'text-direction', 'textDirection' or 'rtl' key of imported notes. Other tools may read them (Pandoc and Quarto read 'dir'). Undo puts them back.")
+				.addToggle(toggle => toggle
+					.setValue(this.removeAliases)
+					.onChange(value => this.removeAliases = value));
 		}
+
+		new Setting(contentEl)
+			.addButton(button => button
+				.setButtonText('Cancel')
+				.onClick(() => this.close()))
+			.addButton(button => {
+				button.setCta().onClick(async () => {
+					const accepted = this.entries.filter(entry => entry.accepted);
+					this.close();
+					// Undo removes the imported override again and restores removed alias keys.
+					await this.plugin.applyDirectionBatch('Import from other plugins', accepted.map(entry => ({ file: entry.file, next: entry.direction })), this.removeAliases);
+				});
+				button.buttonEl.addClass('intelligent-rtl-import-apply');
+			});
+		this.updateImportButton();
 	}
 
-	async loadSettings() {
-		this.settings = Object.assign({}, DEFAULT_SETTINGS, await this.loadData());
+	onClose() {
+		this.contentEl.empty();
 	}
 
-	async saveSettings() {
-		await this.saveData(this.settings);
-		this.applyAllUiSettings();
+	updateImportButton() {
+		const button = this.contentEl.querySelector('.intelligent-rtl-import-apply') as HTMLButtonElement | null;
+		if (!button) return;
+		const count = this.entries.filter(entry => entry.accepted).length;
+		button.setText(`Import ${count} note${count === 1 ? '' : 's'}`);
+		button.disabled = count === 0;
 	}
 }
 
-class IntelligentRtlSettingTab extends PluginSettingTab {
+/**
+ * Side pane listing every element the plugin manages, with selector health checks, a re-apply button and a copyable report.
+ */
+class DiagnosticsView extends ItemView {
 	plugin: IntelligentRtlPlugin;
 
-	constructor(app: App, plugin: IntelligentRtlPlugin) {
-		super(app, plugin);
+	constructor(leaf: WorkspaceLeaf, plugin: IntelligentRtlPlugin) {
+		super(leaf);
 		this.plugin = plugin;
 	}
 
-	display(): void {
-		const {containerEl} = this;
-		containerEl.empty();
-		containerEl.createEl('h2', {text: 'Intelligent RTL Management Settings'});
+	getViewType(): string {
+		return DIAGNOSTICS_VIEW_TYPE;
+	}
 
-		new Setting(containerEl)
-			.setName('Global Default Direction')
-			.setDesc("Default text direction for elements set to 'Auto' or when no specific rule applies.")
-			.addDropdown(dropdown => dropdown
-				.addOption('ltr', 'LTR (Left-to-Right)')
-				.addOption('rtl', 'RTL (Right-to-Left)')
-				.addOption('auto', 'Auto (based on content or specific rules)')
-				.setValue(this.plugin.settings.globalDefaultDirection)
-				.onChange(async (value: DirectionSetting) => {
-					this.plugin.settings.globalDefaultDirection = value;
-					await this.plugin.saveSettings();
-				}));
+	getDisplayText(): string {
+		return 'RTL diagnostics';
+	}
 
-		new Setting(containerEl)
-			.setName('Enable Advanced Text Detection')
-			.setDesc("When 'Auto' is selected for a container, attempt to detect text direction from its content.")
-			.addToggle(toggle => toggle
-				.setValue(this.plugin.settings.enableAdvancedTextDetection)
-				.onChange(async (value) => {
-					this.plugin.settings.enableAdvancedTextDetection = value;
-					await this.plugin.saveSettings();
-				}));
+	getIcon(): string {
+		return 'activity';
+	}
 
-		containerEl.createEl('h3', {text: 'Per-Container Direction Settings'});
-		const uiContainers: (keyof Omit<IntelligentRtlSettings, 'globalDefaultDirection' | 'enableAdvancedTextDetection' | 'mySetting'>)[] = [
-			'editor', 'leftSidebar', 'rightSidebar', 'fileExplorer', 'searchResults', 'tagPane', 'canvasCard'
-		];
+	async onOpen() {
+		this.render();
+	}
 
-		uiContainers.forEach(containerKey => {
-			new Setting(containerEl)
-				.setName(this.toTitleCase(containerKey))
-				.setDesc(`Set text direction for the ${this.toTitleCase(containerKey)}. 'Auto' uses global default or text detection.`)
-				.addDropdown(dropdown => dropdown
-					.addOption('ltr', 'LTR')
-					.addOption('rtl', 'RTL')
-					.addOption('auto', 'Auto')
-					.setValue(this.plugin.settings[containerKey].direction)
-					.onChange(async (value: DirectionSetting) => {
-						this.plugin.settings[containerKey].direction = value;
-						await this.plugin.saveSettings();
-					}));
-		});
+	async onClose() {
+		this.contentEl.empty();
+	}
 
-		new Setting(containerEl)
-			.setName('My Setting (Sample)')
-			.setDesc('This is a sample setting field, retained for reference.')
-			.addText(text => text
-				.setPlaceholder('Enter some text')
-				.setValue(this.plugin.settings.mySetting)
-				.onChange(async (value) => {
-					this.plugin.settings.mySetting = value;
-					await this.plugin.saveSettings();
+	render() {
+		const {contentEl} = this;
+		contentEl.empty();
+		contentEl.addClass('intelligent-rtl-diagnostics');
+		const entries = this.plugin.collectDiagnostics();
+
+		new Setting(contentEl)
+			.setName('Managed elements')
+			.setDesc(`Checked at ${new Date().toLocaleTimeString()}. Checks run again after every layout change.`)
+			.addButton(button => button
+				.setButtonText('Re-apply now')
+				.setCta()
+				.onClick(() => {
+					this.plugin.applyAllUiSettings(); // Refreshes this view once the containers are applied
+					new Notice("Direction settings re-applied.");
+				}))
+			.addButton(button => button
+				.setButtonText('Copy report')
+				.onClick(async () => {
+					await navigator.clipboard.writeText(this.plugin.formatDiagnosticsReport(this.plugin.collectDiagnostics()));
+					new Notice("Diagnostics report copied to the clipboard.");
 				}));
-	}
 
-	toTitleCase(str: string): string {
-		const result = str.replace(/([A-Z])/g, " $1");
-		return result.charAt(0).toUpperCase() + result.slice(1);
+		const issues = entries.filter(entry => entry.issue);
+		const issuesEl = contentEl.createDiv({ cls: 'intelligent-rtl-diagnostics-issues' });
+		if (issues.length === 0) {
+			issuesEl.createEl('p', { text: 'Every selector matched.', cls: 'setting-item-description' });
+		} else {
+			issuesEl.createEl('p', { text: `${issues.length} selectors matched nothing:`, cls: 'mod-warning' });
+			const list = issuesEl.createEl('ul');
+			issues.forEach(entry => list.createEl('li', { text: `${entry.area} (${entry.target}): ${entry.issue}` }));
+		}
+
+		const table = contentEl.createEl('table', { cls: 'intelligent-rtl-diagnostics-table' });
+		const headerRow = table.createEl('thead').createEl('tr');
+		['Area', 'Element', 'Configured', 'Effective', 'Source', 'Observer'].forEach(title => headerRow.createEl('th', { text: title }));
+		const body = table.createEl('tbody');
+		entries.forEach(entry => {
+			const row = body.createEl('tr', { cls: entry.issue ? 'mod-warning' : undefined });
+			[entry.area, entry.target, entry.configured, entry.effective, entry.source, entry.observer].forEach(text => row.createEl('td', { text }));
+		});
 	}
 }
 
-// Assuming getBlockDirection is globally available for now (e.g. from rtl-text-detector.js)
-// If not, it needs to be defined or imported here.
-// Example placeholder if rtl-text-detector.js isn't loaded:
+// Assuming getBlockDirection and detectDirection are globally available for now (e.g. from rtl-text-detector.js)
+// If not, they need to be defined or imported here.
+// Example placeholders if rtl-text-detector.js isn't loaded:
 if (typeof getBlockDirection === 'undefined') {
 	console.warn("getBlockDirection not defined, using placeholder. Text detection will not work correctly.");
-	function getBlockDirection(text: string): 'rtl' | 'ltr' { return 'ltr'; }
+	function getBlockDirection(text: string, options?: { strategy?: DetectionStrategy; threshold?: number }): 'rtl' | 'ltr' { return 'ltr'; }
+}
+if (typeof findInlineSpans === 'undefined') {
+	console.warn("findInlineSpans not defined, using placeholder. Inline spans will not be isolated.");
+	function findInlineSpans(text: string, types?: InlineSpanType[]): InlineSpan[] { return []; }
+}
+if (typeof findBidiControls === 'undefined') {
+	console.warn("Bidi control functions not defined, using placeholders. Bidi control commands will do nothing.");
+	function getBidiControlChar(name: BidiControlName): string { return ''; }
+	function findBidiControls(text: string): BidiControl[] { return []; }
+	function cleanBidiControls(text: string): { text: string; removed: number[] } { return { text, removed: [] }; }
+}
+if (typeof detectDirection === 'undefined') {
+	console.warn("detectDirection not defined, using placeholder. Text detection will not work correctly.");
+	function detectDirection(text: string, options?: { strategy?: DetectionStrategy; threshold?: number }): DirectionDetection {
+		return { direction: 'neutral', confidence: 0, counts: { rtl: 0, ltr: 0, neutral: 0 }, scripts: {}, firstStrong: null };
+	}
 }
 // Remove SampleModal if not used
 class SampleModal extends Modal {
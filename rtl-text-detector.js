@@ -1,143 +1,484 @@
 /**
  * @file Text direction detection logic.
+ *
+ * Characters are classified with Unicode property escapes, so every script is covered
+ * without maintaining code point tables by hand:
+ * - strong RTL: letters of the scripts listed in RTL_SCRIPTS,
+ * - strong LTR: every other letter (Latin, Cyrillic, Greek, CJK, Indic scripts, ...),
+ * - neutral: digits (including Arabic-Indic), punctuation, symbols, whitespace, combining marks and controls.
  */
 
-// Unicode character ranges for RTL scripts
-// Hebrew: U+0590 to U+05FF (though ֐-׿ is U+0590 - U+05FF)
-const HEBREW_RANGES = [/\u0590-\u05FF/];
-// Arabic: U+0600 to U+06FF, U+0750 to U+077F, U+08A0 to U+08FF, etc.
-// Combining some common ranges for simplicity.
-const ARABIC_RANGES = [/\u0600-\u06FF/, /\u0750-\u077F/, /\u08A0-\u08FF/, /\uFB50-\uFDFF/, /\uFE70-\uFEFF/];
-// Other potential RTL scripts could be added here (Syriac, Thaana, N'Ko, etc.)
+/**
+ * Scripts whose letters have a strong right-to-left bidi class.
+ * Names are Unicode `Script` property values.
+ */
+const RTL_SCRIPTS = [
+	'Hebrew',
+	'Arabic',
+	'Syriac',
+	'Thaana',
+	'Nko',
+	'Samaritan',
+	'Mandaic',
+	'Adlam',
+	'Hanifi_Rohingya'
+];
+
+/**
+ * Common strong-LTR scripts reported individually in per-script counts.
+ * Letters of any other LTR script are still counted as LTR, under 'Other'.
+ */
+const LTR_SCRIPTS = [
+	'Latin',
+	'Cyrillic',
+	'Greek',
+	'Armenian',
+	'Georgian',
+	'Devanagari',
+	'Bengali',
+	'Tamil',
+	'Thai',
+	'Han',
+	'Hiragana',
+	'Katakana',
+	'Hangul',
+	'Ethiopic'
+];
+
+const RTL_SCRIPT_PATTERNS = RTL_SCRIPTS.map(script => ({ script, regex: new RegExp(`\\p{Script=${script}}`, 'u') }));
+const LTR_SCRIPT_PATTERNS = LTR_SCRIPTS.map(script => ({ script, regex: new RegExp(`\\p{Script=${script}}`, 'u') }));
+const RTL_CHAR_REGEX = new RegExp(RTL_SCRIPTS.map(script => `\\p{Script=${script}}`).join('|'), 'u');
+const LETTER_REGEX = /\p{L}/u;
+
+/** Default share of RTL letters above which the ratio strategy reports 'rtl'. */
+const DEFAULT_RTL_THRESHOLD = 0.4;
+
+/** Number of leading characters searched for the first strong character. */
+const FIRST_STRONG_WINDOW = 200;
+
+/**
+ * Leading markdown syntax removed before detection. Order matters.
+ */
+const MARKDOWN_PREFIXES = [
+	/^\s*-\s*\[\s*[xX]?\s*\]\s*/, // Task list: - [ ], - [x], - [X]
+	/^\s*[\-\*\+]\s+/,           // Unordered list: -, *, +
+	/^\s*\d+[\.\)]\s+/,         // Ordered list: 1., 1)
+	/^\s*#{1,6}\s+/,              // Headers: #, ##, ...
+	/^\s*>{1,}\s*/,               // Blockquote: >, >>
+	/^\s*\|\s*/                   // Table row: | cell | cell |
+];
+
+/**
+ * Inline markdown that never carries the direction of the surrounding text.
+ */
+const IGNORED_INLINE_PATTERNS = [
+	/`[^`\n]*`/g,                 // Inline code
+	/\]\([^)\s]*\)/g,             // Link targets: [text](target)
+	/\b[a-z][a-z0-9+.\-]*:\/\/\S+/gi // Bare URLs
+];
 
-const RTL_RANGES = [...HEBREW_RANGES, ...ARABIC_RANGES];
+/**
+ * Inline spans that keep their own direction inside a paragraph of the other direction,
+ * in priority order: when two spans overlap, the earlier type wins.
+ */
+const INLINE_SPAN_PATTERNS = [
+	{ type: 'code', regex: /(`+)[^`\n](?:.*?[^`\n])?\1(?!`)/g },
+	{ type: 'math', regex: /(?<![$\\])\$(?!\$)(?=\S)[^$\n]*?\S\$(?!\$)/g },
+	{ type: 'wikilink', regex: /!?\[\[[^\]\n]+\]\]/g },
+	{ type: 'url', regex: /\b[a-z][a-z0-9+.\-]*:\/\/[^\s<>()\[\]]+[^\s<>()\[\].,;:!?'"]/gi },
+	{ type: 'email', regex: /[\w.+\-]+@[\w\-]+(?:\.[\w\-]+)+/g },
+	{ type: 'path', regex: /(?:[A-Za-z]:[\\/]|\.{0,2}\/|~\/)?(?:[\w.\-]+[\\/])+[\w.\-]*\w/g }
+];
+
+/**
+ * Unicode bidi control characters, by their usual abbreviation.
+ * Marks (LRM, RLM, ALM) act as an invisible strong character; the others open or close a run.
+ */
+const BIDI_CONTROLS = {
+	LRM: '\u200E', // Left-to-right mark
+	RLM: '\u200F', // Right-to-left mark
+	ALM: '\u061C', // Arabic letter mark
+	LRE: '\u202A', // Left-to-right embedding
+	RLE: '\u202B', // Right-to-left embedding
+	PDF: '\u202C', // Pop directional formatting
+	LRO: '\u202D', // Left-to-right override
+	RLO: '\u202E', // Right-to-left override
+	LRI: '\u2066', // Left-to-right isolate
+	RLI: '\u2067', // Right-to-left isolate
+	FSI: '\u2068', // First strong isolate
+	PDI: '\u2069'  // Pop directional isolate
+};
+
+const BIDI_CONTROL_NAMES = new Map(Object.entries(BIDI_CONTROLS).map(([name, char]) => [char, name]));
+const BIDI_MARK_DIRECTIONS = { LRM: 'ltr', RLM: 'rtl', ALM: 'rtl' };
+const BIDI_ISOLATE_OPENERS = ['LRI', 'RLI', 'FSI'];
+const BIDI_EMBEDDING_OPENERS = ['LRE', 'RLE', 'LRO', 'RLO'];
+const DIGIT_REGEX = /\p{Nd}/u;
+
+/**
+ * Returns the strong direction of a single character.
+ * @param {string} char The character (one code point) to check.
+ * @returns {'rtl' | 'ltr' | 'neutral'} The bidi strength class of the character.
+ */
+function getCharDirection(char) {
+	if (!char || !LETTER_REGEX.test(char)) {
+		return 'neutral'; // Digits, marks, punctuation and symbols are weak or neutral in the bidi algorithm
+	}
+	return RTL_CHAR_REGEX.test(char) ? 'rtl' : 'ltr';
+}
 
 /**
- * Checks if a character is an RTL character based on defined Unicode ranges.
+ * Checks if a character is an RTL character.
  * @param {string} char The character to check.
  * @returns {boolean} True if the character is an RTL character, false otherwise.
  */
 function isRtlChar(char) {
-	if (!char || char.length !== 1) {
-		return false;
+	return getCharDirection(char) === 'rtl';
+}
+
+/**
+ * Checks if a character is a strong LTR character.
+ * @param {string} char The character to check.
+ * @returns {boolean} True if the character is a strong LTR character, false otherwise.
+ */
+function isLtrChar(char) {
+	return getCharDirection(char) === 'ltr';
+}
+
+/**
+ * Returns the Unicode script name used in per-script counts for a strong character.
+ * @param {string} char The character to check.
+ * @returns {string | null} The script name, 'Other' for uncommon LTR scripts, or null for neutral characters.
+ */
+function getCharScript(char) {
+	const direction = getCharDirection(char);
+	if (direction === 'neutral') {
+		return null;
 	}
-	for (const range of RTL_RANGES) {
-		if (range.test(char)) {
-			return true;
+	const patterns = direction === 'rtl' ? RTL_SCRIPT_PATTERNS : LTR_SCRIPT_PATTERNS;
+	for (const { script, regex } of patterns) {
+		if (regex.test(char)) {
+			return script;
 		}
 	}
-	return false;
+	return 'Other';
 }
 
 /**
- * Determines the likely direction of a block of text.
- * @param {string} textBlock The text block to analyze.
- * @returns {'rtl' | 'ltr'} The detected direction.
+ * Removes leading markdown syntax and inline spans that should not influence detection.
+ * @param {string} text The raw markdown text.
+ * @returns {string} The text left for analysis.
  */
-function getBlockDirection(textBlock) {
-	if (!textBlock || typeof textBlock !== 'string') {
-		return 'ltr'; // Default for empty or invalid input
+function stripMarkdown(text) {
+	let processedText = text;
+	for (const prefixRegex of MARKDOWN_PREFIXES) {
+		processedText = processedText.replace(prefixRegex, '');
+	}
+	for (const inlineRegex of IGNORED_INLINE_PATTERNS) {
+		processedText = processedText.replace(inlineRegex, ' ');
 	}
+	return processedText.trim();
+}
 
-	let processedText = textBlock;
+/**
+ * @typedef {Object} DetectionOptions
+ * @property {number} [threshold] Share of RTL letters (0-1) above which the ratio strategy reports 'rtl'. Defaults to 0.4.
+ * @property {'first-strong' | 'ratio'} [strategy] 'first-strong' (default) follows the first strong character, like the
+ *   Unicode bidi algorithm and `dir="auto"`, and falls back to the ratio only when no strong character appears early.
+ *   'ratio' always decides by the share of RTL letters.
+ * @property {boolean} [stripMarkdown] Whether to ignore markdown syntax, inline code and URLs. Defaults to true.
+ */
 
-	// 0. Check for code blocks (```) - default to LTR
-	if (processedText.startsWith('```')) {
-		return 'ltr';
-	}
-	// Could add check for 4-space indented code blocks if a reliable way to get previous lines or full context was available.
-
-	// 1. Remove leading markdown syntax
-	// More comprehensive list, order matters.
-	const markdownPrefixes = [
-		/^\s*-\s*\[\s*[xX]?\s*\]\s*/, // Task list: - [ ], - [x], - [X]
-		/^\s*[\-\*\+]\s+/,           // Unordered list: -, *, +
-		/^\s*\d+[\.\)]\s+/,         // Ordered list: 1., 1)
-		/^\s*#{1,6}\s+/,              // Headers: #, ##, ...
-		/^\s*>{1,}\s*/,               // Blockquote: >, >>
-		// Note: tables, thematic breaks (---, ***) are harder to handle line-by-line
-	];
-	for (const prefixRegex of markdownPrefixes) {
-		processedText = processedText.replace(prefixRegex, '');
+/**
+ * @typedef {Object} DirectionDetection
+ * @property {'rtl' | 'ltr' | 'neutral'} direction The detected direction; 'neutral' when the text has no letters.
+ * @property {number} confidence Share (0-1) of strong characters that agree with the detected direction.
+ * @property {{ rtl: number, ltr: number, neutral: number }} counts Number of characters in each bidi strength class.
+ * @property {Object<string, number>} scripts Number of strong characters per script, e.g. `{ Hebrew: 12, Latin: 3 }`.
+ * @property {'rtl' | 'ltr' | null} firstStrong Direction of the first strong character, if any.
+ */
+
+/**
+ * Analyses a block of text and reports its direction with a confidence score.
+ * @param {string} text The text to analyze.
+ * @param {DetectionOptions} [options] Detection options.
+ * @returns {DirectionDetection} The detection result.
+ */
+function detectDirection(text, options = {}) {
+	const threshold = typeof options.threshold === 'number' ? options.threshold : DEFAULT_RTL_THRESHOLD;
+	const strategy = options.strategy || 'first-strong';
+	const result = {
+		direction: 'neutral',
+		confidence: 0,
+		counts: { rtl: 0, ltr: 0, neutral: 0 },
+		scripts: {},
+		firstStrong: null
+	};
+
+	if (!text || typeof text !== 'string') {
+		return result;
 	}
 
-	// 2. Trim leading/trailing whitespace again after prefix removal
-	processedText = processedText.trim();
+	const processedText = options.stripMarkdown === false ? text : stripMarkdown(text);
 
-	// 3. Skip leading non-alphabetic characters (symbols, numbers, punctuation)
-	//    to find the first character that might indicate script direction.
-	let firstSignificantCharIndex = 0;
-	for (let i = 0; i < processedText.length; i++) {
-		const char = processedText[i];
-		// This regex matches common punctuation, symbols, digits, and whitespace.
-		// It's designed to stop at the first letter-like character from any script.
-		if (/^[\s\d\p{P}\p{S}\p{Z}\p{C}]*$/u.test(char)) {
-			firstSignificantCharIndex++;
-		} else {
-			break; // Found a potentially script-defining character
+	let position = 0;
+	let firstStrongPosition = -1;
+	for (const char of processedText) { // Iterates code points, so astral scripts (Adlam, Hanifi Rohingya) count once
+		const direction = getCharDirection(char);
+		result.counts[direction]++;
+		if (direction !== 'neutral') {
+			const script = getCharScript(char);
+			result.scripts[script] = (result.scripts[script] || 0) + 1;
+			if (result.firstStrong === null) {
+				result.firstStrong = direction;
+				firstStrongPosition = position;
+			}
 		}
+		position++;
 	}
-	processedText = processedText.substring(firstSignificantCharIndex);
 
+	const strongCount = result.counts.rtl + result.counts.ltr;
+	if (strongCount === 0) {
+		return result; // Only numbers, symbols and whitespace
+	}
 
-	if (processedText.length === 0) {
-		return 'ltr'; // Default for empty after all processing
+	const rtlRatio = result.counts.rtl / strongCount;
+	if (strategy === 'first-strong' && firstStrongPosition < FIRST_STRONG_WINDOW) {
+		result.direction = result.firstStrong;
+	} else {
+		result.direction = rtlRatio > threshold ? 'rtl' : 'ltr';
 	}
+	result.confidence = result.direction === 'rtl' ? rtlRatio : 1 - rtlRatio;
+	return result;
+}
+
+/**
+ * @typedef {'code' | 'math' | 'wikilink' | 'url' | 'email' | 'path'} InlineSpanType
+ */
+
+/**
+ * @typedef {Object} InlineSpan
+ * @property {InlineSpanType} type The kind of span.
+ * @property {number} from Offset of the first character of the span.
+ * @property {number} to Offset just after the last character of the span.
+ * @property {'rtl' | 'ltr'} direction Direction of the span's own text ('ltr' when it has no letters).
+ */
 
-	// 4. "First Strong Character" heuristic
-	// Iterate through the *processed* text to find the first strong directional char.
-	// Check a reasonable length of the string for this.
-	const checkLength = Math.min(processedText.length, 200);
-	for (let i = 0; i < checkLength; i++) {
-		const char = processedText[i];
-		if (isRtlChar(char)) {
-			return 'rtl'; // First strong RTL character found
+/**
+ * Finds inline spans (code, math, wikilinks, URLs, emails, file paths) that should be isolated
+ * from the surrounding bidi context so their punctuation and word order are not scrambled.
+ * @param {string} text A single line or paragraph of markdown.
+ * @param {InlineSpanType[]} [types] Span types to look for. Defaults to all of them.
+ * @returns {InlineSpan[]} Non-overlapping spans sorted by position.
+ */
+function findInlineSpans(text, types) {
+	if (!text || typeof text !== 'string') {
+		return [];
+	}
+	const found = [];
+	for (const { type, regex } of INLINE_SPAN_PATTERNS) {
+		if (types && !types.includes(type)) {
+			continue;
 		}
-		// Basic Latin check (can be expanded to all LTR script blocks if needed for more accuracy)
-		// Using \p{Script=Latin} or similar would be more robust if available and performant.
-		if (/[a-zA-Z]/.test(char)) {
-			return 'ltr'; // First strong LTR character found
+		regex.lastIndex = 0;
+		let match;
+		while ((match = regex.exec(text)) !== null) {
+			const from = match.index;
+			const to = from + match[0].length;
+			if (found.some(span => from < span.to && to > span.from)) {
+				continue; // Already covered by a higher-priority span
+			}
+			const direction = detectDirection(match[0], { stripMarkdown: false }).direction === 'rtl' ? 'rtl' : 'ltr';
+			found.push({ type, from, to, direction });
 		}
-		// Characters that are neutral (spaces, numbers, common symbols) will be skipped
-		// until a strong LTR or RTL character is encountered.
 	}
+	return found.sort((a, b) => a.from - b.from);
+}
 
-	// 5. Fallback: Majority count (if no strong character was found early, or for very short strings)
-	// This is less critical if the "first strong" heuristic is effective.
-	let rtlCharCount = 0;
-	let totalScriptChars = 0; // Count characters that are part of any typical script (Latin, Hebrew, Arabic etc.)
+/**
+ * Determines the likely direction of a block of text.
+ * @param {string} textBlock The text block to analyze.
+ * @param {DetectionOptions} [options] Detection options.
+ * @returns {'rtl' | 'ltr'} The detected direction, 'ltr' for text without letters.
+ */
+function getBlockDirection(textBlock, options = {}) {
+	if (!textBlock || typeof textBlock !== 'string') {
+		return 'ltr'; // Default for empty or invalid input
+	}
 
-	for (let i = 0; i < processedText.length; i++) {
-		const char = processedText[i];
-		if (isRtlChar(char)) {
-			rtlCharCount++;
-		}
-		// Consider if a character is broadly "alphabetic" in any relevant script
-		// \p{L} matches any kind of letter from any language.
-		if (/\p{L}/u.test(char)) {
-			totalScriptChars++;
+	// Fenced code blocks are always LTR
+	if (textBlock.trimStart().startsWith('```')) {
+		return 'ltr';
+	}
+
+	return detectDirection(textBlock, options).direction === 'rtl' ? 'rtl' : 'ltr';
+}
+
+/**
+ * @typedef {'LRM' | 'RLM' | 'ALM' | 'LRE' | 'RLE' | 'PDF' | 'LRO' | 'RLO' | 'LRI' | 'RLI' | 'FSI' | 'PDI'} BidiControlName
+ */
+
+/**
+ * @typedef {Object} BidiControl
+ * @property {BidiControlName} name Abbreviation of the control character.
+ * @property {number} index Offset of the character in the text.
+ */
+
+/**
+ * Returns the abbreviation of a bidi control character.
+ * @param {string} char The character to check.
+ * @returns {BidiControlName | null} The abbreviation, or null for any other character.
+ */
+function getBidiControlName(char) {
+	return BIDI_CONTROL_NAMES.get(char) || null;
+}
+
+/**
+ * Returns the bidi control character with an abbreviation.
+ * @param {BidiControlName} name The abbreviation, e.g. 'RLM'.
+ * @returns {string} The character, or '' for an unknown name.
+ */
+function getBidiControlChar(name) {
+	return BIDI_CONTROLS[name] || '';
+}
+
+/**
+ * Finds every bidi control character in a text.
+ * @param {string} text The text to search.
+ * @returns {BidiControl[]} The controls, in order.
+ */
+function findBidiControls(text) {
+	const found = [];
+	if (!text || typeof text !== 'string') {
+		return found;
+	}
+	for (let index = 0; index < text.length; index++) {
+		const name = getBidiControlName(text[index]); // Every control is a single UTF-16 unit
+		if (name) {
+			found.push({ name, index });
 		}
 	}
+	return found;
+}
 
-	if (totalScriptChars === 0) {
-		return 'ltr'; // Default if no script characters found (e.g., only numbers and symbols)
+/**
+ * Finds the bidi controls of a text that have no effect or are broken, paragraph by paragraph (controls never
+ * reach past a line break):
+ * - closers (PDI, PDF) without an opener, and openers never closed,
+ * - isolates and embeddings with nothing between opener and closer,
+ * - marks repeating the mark just before them,
+ * - marks next to a strong character of their own direction, which already gives the surrounding neutrals
+ *   the same context (kept before digits, whose type the mark can change).
+ * @param {string} text The text to check.
+ * @returns {number[]} Offsets of the controls to remove, in order.
+ */
+function findRedundantBidiControls(text) {
+	const removed = new Set();
+	const controls = findBidiControls(text);
+	let open = []; // Openers of the current paragraph, innermost last
+	let paragraphEnd = -1;
+	const closeParagraph = () => {
+		open.forEach(opener => removed.add(opener.index)); // Never closed
+		open = [];
+	};
+	for (const control of controls) {
+		if (control.index > paragraphEnd) {
+			closeParagraph();
+			const nextBreak = text.indexOf('\n', control.index);
+			paragraphEnd = nextBreak === -1 ? text.length : nextBreak;
+		}
+		const { name, index } = control;
+		if (BIDI_ISOLATE_OPENERS.includes(name) || BIDI_EMBEDDING_OPENERS.includes(name)) {
+			open.push(control);
+		} else if (name === 'PDI') {
+			const isolateIndex = open.map(opener => BIDI_ISOLATE_OPENERS.includes(opener.name)).lastIndexOf(true);
+			if (isolateIndex === -1) {
+				removed.add(index);
+				continue;
+			}
+			// A PDI also ends the embeddings left open inside its isolate.
+			open.splice(isolateIndex + 1).forEach(opener => removed.add(opener.index));
+			const opener = open.pop();
+			if (index === opener.index + 1) {
+				removed.add(opener.index);
+				removed.add(index);
+			}
+		} else if (name === 'PDF') {
+			const opener = open[open.length - 1];
+			if (!opener || !BIDI_EMBEDDING_OPENERS.includes(opener.name)) {
+				removed.add(index);
+				continue;
+			}
+			open.pop();
+			if (index === opener.index + 1) {
+				removed.add(opener.index);
+				removed.add(index);
+			}
+		} else {
+			const direction = BIDI_MARK_DIRECTIONS[name];
+			let beforeIndex = index - 1;
+			while (removed.has(beforeIndex)) {
+				beforeIndex--; // Compare with what is left once the earlier removals are done
+			}
+			const before = beforeIndex >= 0 ? text[beforeIndex] : '';
+			const after = index + 1 < text.length ? text[index + 1] : '';
+			if (getBidiControlName(before) === name) {
+				removed.add(index);
+				continue;
+			}
+			if (DIGIT_REGEX.test(after)) {
+				continue;
+			}
+			if (getCharDirection(before) === direction || getCharDirection(after) === direction) {
+				removed.add(index);
+			}
+		}
 	}
+	closeParagraph();
+	return Array.from(removed).sort((a, b) => a - b);
+}
 
-	// Determine direction based on character count majority
-	if ((rtlCharCount / totalScriptChars) > 0.4) { // Adjusted threshold slightly, e.g. 40%
-		return 'rtl';
-	} else {
-		return 'ltr';
+/**
+ * Removes the bidi controls reported by findRedundantBidiControls.
+ * @param {string} text The text to clean.
+ * @returns {{ text: string, removed: number[] }} The cleaned text and the offsets (in the original text) of the removed controls.
+ */
+function cleanBidiControls(text) {
+	const removed = findRedundantBidiControls(text);
+	if (removed.length === 0) {
+		return { text, removed };
 	}
+	let cleaned = '';
+	let offset = 0;
+	removed.forEach(index => {
+		cleaned += text.slice(offset, index);
+		offset = index + 1;
+	});
+	cleaned += text.slice(offset);
+	return { text: cleaned, removed };
 }
 
 // Make functions available for import (conceptual in this environment)
 // In a real module system, this would be:
-// export { isRtlChar, getBlockDirection };
+// export { isRtlChar, isLtrChar, getCharDirection, getCharScript, detectDirection, getBlockDirection, findInlineSpans,
+//          getBidiControlName, getBidiControlChar, findBidiControls, cleanBidiControls };
 if (typeof module !== 'undefined' && module.exports) {
-	module.exports = { isRtlChar, getBlockDirection };
+	module.exports = {
+		RTL_SCRIPTS, DEFAULT_RTL_THRESHOLD, BIDI_CONTROLS, isRtlChar, isLtrChar, getCharDirection, getCharScript, detectDirection,
+		getBlockDirection, findInlineSpans, getBidiControlName, getBidiControlChar, findBidiControls, findRedundantBidiControls, cleanBidiControls
+	};
 } else {
 	// Make them globally available for the sake of this single-file simulation if not using modules
 	window.isRtlChar = isRtlChar;
+	window.isLtrChar = isLtrChar;
+	window.getCharDirection = getCharDirection;
+	window.getCharScript = getCharScript;
+	window.detectDirection = detectDirection;
 	window.getBlockDirection = getBlockDirection;
+	window.findInlineSpans = findInlineSpans;
+	window.BIDI_CONTROLS = BIDI_CONTROLS;
+	window.getBidiControlName = getBidiControlName;
+	window.getBidiControlChar = getBidiControlChar;
+	window.findBidiControls = findBidiControls;
+	window.cleanBidiControls = cleanBidiControls;
 }